@@ -0,0 +1,267 @@
+import axios from "axios";
+import { classifyEntityType, entityEmails } from "./names.js";
+import { attachRetry } from "./retry.js";
+
+export const LIST_ID = 300305; // Default Affinity list id (see LIST_ROUTING_JSON for per-fund lists)
+
+export const V2 = attachRetry(axios.create({
+  baseURL: "https://api.affinity.co/v2",
+  headers: {
+    Authorization: `Bearer ${process.env.AFFINITY_V2_TOKEN}`,
+    "Content-Type": "application/json",
+  },
+  timeout: 60000,
+}));
+
+// v1 API: only needed to create organizations/persons and add list entries (v2 is read-mostly).
+// Same API key, sent as the Basic auth password.
+export const V1 = attachRetry(axios.create({
+  baseURL: "https://api.affinity.co",
+  auth: { username: "", password: process.env.AFFINITY_V1_TOKEN || process.env.AFFINITY_V2_TOKEN || "" },
+  headers: { "Content-Type": "application/json" },
+  timeout: 60000,
+}));
+
+// Current status of a single entry as { label, optionId }; empty on failure, unless `throwOnError`
+export async function fetchEntryStatus(listId, entryId, statusFieldId, { throwOnError = false } = {}) {
+  try {
+    const { data } = await V2.get(`/lists/${listId}/list-entries/${entryId}/fields`);
+    const field = (data?.data || []).find(f => String(f.id) === String(statusFieldId));
+    return { label: field?.value?.data?.text || '', optionId: field?.value?.data?.dropdownOptionId ?? null };
+  } catch (e) {
+    if (throwOnError) throw e;
+    return { label: '', optionId: null };
+  }
+}
+
+function extractNamesFromValueData(val) {
+  const out = [];
+  if (!val) return out;
+  const consume = (obj) => {
+    if (!obj) return;
+    const n = obj.name || (obj.first_name && obj.last_name ? `${obj.first_name} ${obj.last_name}` : (obj.first_name || obj.last_name));
+    if (n) out.push(String(n));
+    else if (obj.text) out.push(String(obj.text));
+  };
+  if (Array.isArray(val)) {
+    val.forEach(consume);
+  } else if (Array.isArray(val.entities)) {
+    val.entities.forEach(consume);
+  } else if (val.entity) {
+    consume(val.entity);
+  } else if (val.name || val.first_name || val.last_name || val.text) {
+    consume(val);
+  }
+  return Array.from(new Set(out));
+}
+
+// Email addresses of the people in a People field value
+function extractEmailsFromValueData(val) {
+  const items = Array.isArray(val) ? val : Array.isArray(val.entities) ? val.entities : val.entity ? [val.entity] : [val];
+  return items.filter(obj => obj && typeof obj === 'object').flatMap(entityEmails);
+}
+
+export function extractAssociatedNamesFromFields(fields, peopleFieldIds, orgFieldIds) {
+  const assocPeople = [];
+  const assocOrgs = [];
+  const assocEmails = [];
+  const peopleSet = new Set((peopleFieldIds || []).map(String));
+  const orgSet = new Set((orgFieldIds || []).map(String));
+
+  // If we have explicit ids, only use them; else scan all fields heuristically
+  const scanAll = peopleSet.size === 0 && orgSet.size === 0;
+
+  for (const f of fields || []) {
+    const id = String(f.id);
+    const val = f?.value?.data;
+    if (!val) continue;
+    if (scanAll || orgSet.has(id)) {
+      const maybe = extractNamesFromValueData(val);
+      if (maybe.length) assocOrgs.push(...maybe);
+    }
+    if (scanAll || peopleSet.has(id)) {
+      const maybe = extractNamesFromValueData(val);
+      if (maybe.length) assocPeople.push(...maybe);
+      assocEmails.push(...extractEmailsFromValueData(val));
+    }
+  }
+  return {
+    assocPeople: Array.from(new Set(assocPeople)),
+    assocOrgs: Array.from(new Set(assocOrgs)),
+    assocEmails: Array.from(new Set(assocEmails))
+  };
+}
+
+// scanEntries: false skips learning labels from a separate pass over the entries when the field has no options;
+// callers that page the entries anyway merge `learnedLabels` from fetchEntriesWithStatus instead
+export async function fetchStatusFieldAndOptions(listId, statusFieldName, { scanEntries = true } = {}) {
+  const { data } = await V2.get(`/lists/${listId}/fields`);
+  const fields = data?.data || [];
+  // Prefer explicit env var if provided
+  const desiredName = String(statusFieldName || process.env.STATUS_FIELD_NAME || "Status").toLowerCase();
+  let statusField = fields.find(f => String(f?.name || "").toLowerCase() === desiredName);
+  if (!statusField) {
+    // Fallback: any dropdown-like field whose name contains 'status'
+    statusField = fields.find(f => /status/i.test(String(f?.name || "")));
+  }
+  if (!statusField) throw new Error("Could not find Status field on this list");
+
+  // Detect People and Organization fields (broader patterns)
+  const peopleFieldIds = fields
+    .filter(f => /(people|contacts?|contact)/i.test(String(f?.name || "")))
+    .map(f => f.id);
+  const orgFieldIds = fields
+    .filter(f => /(organization|organizations|company|firm|employer|org)/i.test(String(f?.name || "")))
+    .map(f => f.id);
+
+  const options = statusField.dropdown_options || statusField.dropdownOptions || statusField.options || [];
+  let labelToId = new Map(options.map(o => [String(o?.name || o?.label || "").toLowerCase(), o?.id]));
+  // Fallback: learn map by scanning entries when options are not available via fields API
+  if (labelToId.size === 0 && scanEntries) {
+    labelToId = await buildLabelMapFromEntries(listId, statusField.id);
+  }
+  // Manual overrides (hard-coded mapping)
+  mergeManualOverrides(labelToId);
+  return { statusFieldId: statusField.id, labelToId, field: statusField, peopleFieldIds, orgFieldIds, fields };
+}
+
+// valueFieldIds: extra (mapped) fields whose current values are returned per entry in fieldValuesById
+export async function fetchEntriesWithStatus(listId, statusFieldId, peopleFieldIds, orgFieldIds, valueFieldIds = []) {
+  const entries = [];
+  const currentStatusById = new Map();
+  const currentOptionIdById = new Map();
+  const associationsById = new Map();
+  const fieldValuesById = new Map();
+  const learnedLabels = new Map();
+  const fids = [statusFieldId].filter(Boolean);
+  for (const fid of (peopleFieldIds || [])) fids.push(fid);
+  for (const fid of (orgFieldIds || [])) fids.push(fid);
+  for (const fid of valueFieldIds) if (!fids.map(String).includes(String(fid))) fids.push(fid);
+  const valueIds = new Set(valueFieldIds.map(String));
+  const query = fids.map(fid => `fieldIds[]=${encodeURIComponent(String(fid))}`).join('&');
+  let nextUrl = `/lists/${listId}/list-entries?${query}`;
+  while (nextUrl) {
+    const { data } = await V2.get(nextUrl);
+    const batch = data?.data || [];
+    for (const e of batch) {
+      entries.push(e);
+      const f = (e.fields || []).find(x => String(x.id) === String(statusFieldId));
+      const label = f?.value?.data?.text ? String(f.value.data.text) : "";
+      if (label) currentStatusById.set(e.id, label);
+      if (f?.value?.data?.dropdownOptionId != null) currentOptionIdById.set(e.id, f.value.data.dropdownOptionId);
+      if (label && f?.value?.data?.dropdownOptionId) learnedLabels.set(label.toLowerCase(), f.value.data.dropdownOptionId);
+      const assoc = extractAssociatedNamesFromFields(e.fields || [], peopleFieldIds, orgFieldIds);
+      // Include the entity itself as an association to aid pairing
+      const ent = e?.entity || {};
+      const entType = classifyEntityType(ent);
+      if (entType === 'person') {
+        const display = (ent.first_name || ent.last_name) ? `${ent.first_name || ''} ${ent.last_name || ''}`.trim() : String(ent.name || '').trim();
+        if (display) assoc.assocPeople.push(display);
+        assoc.assocEmails.push(...entityEmails(ent));
+      } else {
+        const nm = String(ent.name || '').trim();
+        if (nm) assoc.assocOrgs.push(nm);
+      }
+      assoc.assocPeople = Array.from(new Set(assoc.assocPeople));
+      assoc.assocOrgs = Array.from(new Set(assoc.assocOrgs));
+      assoc.assocEmails = Array.from(new Set(assoc.assocEmails));
+      associationsById.set(e.id, assoc);
+      if (valueIds.size) {
+        fieldValuesById.set(e.id, new Map((e.fields || []).filter(x => valueIds.has(String(x.id))).map(x => [String(x.id), x?.value?.data ?? null])));
+      }
+    }
+    nextUrl = data?.pagination?.nextUrl || null;
+  }
+  return { entries, currentStatusById, currentOptionIdById, associationsById, fieldValuesById, learnedLabels };
+}
+
+async function buildLabelMapFromEntries(listId, statusFieldId) {
+  const labelToId = new Map();
+  let nextUrl = `/lists/${listId}/list-entries?fieldIds[]=${encodeURIComponent(statusFieldId)}`;
+  while (nextUrl) {
+    const { data } = await V2.get(nextUrl);
+    const entries = data?.data || [];
+    for (const e of entries) {
+      const f = (e.fields || []).find(x => String(x.id) === String(statusFieldId));
+      const v = f?.value?.data;
+      const text = v?.text;
+      const optId = v?.dropdownOptionId;
+      if (text && optId) {
+        labelToId.set(String(text).toLowerCase(), optId);
+      }
+    }
+    nextUrl = data?.pagination?.nextUrl || null;
+  }
+  return labelToId;
+}
+
+function mergeManualOverrides(labelToId) {
+  try {
+    const raw = process.env.STATUS_LABEL_TO_ID_JSON;
+    if (!raw) return;
+    const obj = JSON.parse(raw);
+    Object.entries(obj).forEach(([k, v]) => {
+      const key = String(k).toLowerCase();
+      const val = Number(v);
+      if (Number.isFinite(val)) labelToId.set(key, val);
+    });
+  } catch {/* ignore */}
+}
+
+// Current value data of any single field on an entry (null when empty); throws on failure
+export async function fetchEntryFieldValue(listId, entryId, fieldId) {
+  const { data } = await V2.get(`/lists/${listId}/list-entries/${entryId}/fields`);
+  const field = (data?.data || []).find(f => String(f.id) === String(fieldId));
+  return field?.value?.data ?? null;
+}
+
+// data null clears the field. Setting a value is idempotent, so it is safe to retry after a 5xx.
+export async function updateFieldValue(listId, entryId, fieldId, type, data) {
+  await V2.post(`/lists/${listId}/list-entries/${entryId}/fields/${fieldId}`, { value: { type, data } }, { idempotent: true });
+}
+
+// optionId null clears the field (used when rolling back to an empty status)
+export async function updateStatus(listId, entryId, statusFieldId, optionId, valueType) {
+  const type = String(valueType || 'ranked-dropdown');
+  await updateFieldValue(listId, entryId, statusFieldId, type, optionId == null ? null : { dropdownOptionId: optionId });
+}
+
+export async function searchOrganizations(term) {
+  const { data } = await V1.get(`/organizations?term=${encodeURIComponent(term)}`);
+  return data?.organizations || [];
+}
+
+export async function searchPersons(term) {
+  const { data } = await V1.get(`/persons?term=${encodeURIComponent(term)}`);
+  return data?.persons || [];
+}
+
+export async function getOrganization(id) {
+  const { data } = await V1.get(`/organizations/${id}`);
+  return data;
+}
+
+export async function getPerson(id) {
+  const { data } = await V1.get(`/persons/${id}`);
+  return data;
+}
+
+export async function createOrganization({ name, domain, personIds }) {
+  const { data } = await V1.post(`/organizations`, { name, domain: domain || undefined, person_ids: personIds || [] });
+  return data;
+}
+
+export async function createPerson({ firstName, lastName, emails, organizationIds }) {
+  const { data } = await V1.post(`/persons`, { first_name: firstName, last_name: lastName, emails: emails || [], organization_ids: organizationIds || [] });
+  return data;
+}
+
+export async function updatePersonOrganizations(personId, organizationIds) {
+  const { data } = await V1.put(`/persons/${personId}`, { organization_ids: organizationIds });
+  return data;
+}
+
+export async function addListEntry(listId, entityId) {
+  const { data } = await V1.post(`/lists/${listId}/list-entries`, { entity_id: entityId });
+  return data;
+}
@@ -0,0 +1,92 @@
+import { createHash, timingSafeEqual } from "crypto";
+
+// Scopes, each including the ones before it:
+//   dry-run — previews, preflight, reconciliation, reports, run history and job status
+//   write   — live syncs, apply, rollback, match overrides and snapshot refreshes
+//   admin   — configuration: status rules and column profiles
+export const SCOPES = ["dry-run", "write", "admin"];
+
+// CSV_SYNC_API_KEYS_JSON: [{ "name": "ops", "keys": ["<new>", "<old>"], "scope": "write" }, ...]. A name may carry
+// several keys so a key can be rotated without downtime: add the new one, move clients over, drop the old one.
+// CSV_SYNC_API_KEY (a single key) still works as an admin key named "default".
+function loadApiKeys() {
+  const keys = [];
+  let invalid = false;
+  const raw = process.env.CSV_SYNC_API_KEYS_JSON;
+  if (raw) {
+    try {
+      const parsed = [];
+      for (const k of JSON.parse(raw)) {
+        const secrets = (Array.isArray(k.keys) ? k.keys : [k.key]).filter(Boolean).map(String);
+        if (!k.name || !secrets.length || !SCOPES.includes(k.scope)) throw new Error(`key '${k.name || "?"}' needs a name, key(s) and a scope (${SCOPES.join(", ")})`);
+        for (const secret of secrets) parsed.push({ name: String(k.name), scope: k.scope, digest: digest(secret) });
+      }
+      keys.push(...parsed);
+    } catch {
+      // A broken key list locks the API rather than opening it; endpoints answer with API_KEY_CONFIG_ERROR.
+      // The parse error stays out of it: JSON.parse quotes the input, which would put part of a key in the response
+      invalid = true;
+    }
+  }
+  if (process.env.CSV_SYNC_API_KEY) keys.push({ name: "default", scope: "admin", digest: digest(process.env.CSV_SYNC_API_KEY) });
+  return { keys, invalid };
+}
+
+function digest(secret) {
+  return createHash("sha256").update(String(secret)).digest();
+}
+
+// Digests have the same length, so the comparison takes the same time whatever was presented
+function sameSecret(presented, expectedDigest) {
+  return timingSafeEqual(digest(presented), expectedDigest);
+}
+
+const API_KEYS = loadApiKeys();
+// Set when the key configuration can't be used: requests without other valid credentials get a 500 with it
+export const API_KEY_CONFIG_ERROR = API_KEYS.invalid ? "Invalid API key configuration" : null;
+const BASIC_USER = process.env.BASIC_AUTH_USER;
+const BASIC_PASS = process.env.BASIC_AUTH_PASS;
+const BASIC_CONFIGURED = Boolean(BASIC_USER && BASIC_PASS);
+const BASIC_SCOPE = SCOPES.includes(process.env.BASIC_AUTH_SCOPE) ? process.env.BASIC_AUTH_SCOPE : "admin";
+// With no key and no Basic credentials configured the API is open (local development)
+export const REQUIRE_API_KEY = API_KEYS.keys.length > 0 || BASIC_CONFIGURED || API_KEYS.invalid;
+
+// Every configured key is compared (no early exit), so timing doesn't reveal which one matched
+function findKey(presented) {
+  let found = null;
+  for (const k of API_KEYS.keys) {
+    if (sameSecret(presented, k.digest) && !found) found = k;
+  }
+  return found;
+}
+
+// → { identity, name, scope } of the caller, or null when the request carries no valid credentials.
+// Accepts x-api-key, Bearer <key>, or Basic when BASIC_AUTH_USER and BASIC_AUTH_PASS are both set.
+export function authenticate(req) {
+  if (!REQUIRE_API_KEY) return { identity: "anonymous", name: "anonymous", scope: "admin" };
+  const hdrKey = req.headers['x-api-key'] || req.headers['X-API-Key'] || req.headers['x-api_key'];
+  const auth = String(req.headers['authorization'] || '');
+  const presented = hdrKey ? String(hdrKey) : auth.startsWith('Bearer ') ? auth.slice(7).trim() : "";
+  if (presented) {
+    const key = findKey(presented);
+    return key ? { identity: `key:${key.name}`, name: key.name, scope: key.scope } : null;
+  }
+  if (auth.startsWith('Basic ') && BASIC_CONFIGURED) {
+    try {
+      const decoded = Buffer.from(auth.slice(6), 'base64').toString('utf8');
+      const sep = decoded.indexOf(':');
+      const [u, p] = sep === -1 ? [decoded, ""] : [decoded.slice(0, sep), decoded.slice(sep + 1)];
+      // Both halves are always compared
+      const userOk = sameSecret(u, digest(BASIC_USER));
+      const passOk = sameSecret(p, digest(BASIC_PASS));
+      if (userOk && passOk) return { identity: `basic:${u}`, name: u, scope: BASIC_SCOPE };
+    } catch { /* ignore */ }
+  }
+  return null;
+}
+
+// null when the caller's scope covers `scope`, else the 403 message
+export function missingScope(caller, scope) {
+  if (SCOPES.indexOf(caller.scope) >= SCOPES.indexOf(scope)) return null;
+  return `Forbidden: this needs the '${scope}' scope; ${caller.identity} has '${caller.scope}'`;
+}
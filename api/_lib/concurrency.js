@@ -0,0 +1,17 @@
+// How many Affinity requests a sync, apply or rollback keeps in flight at once; anything but a positive integer means 4
+const configured = Number(process.env.AFFINITY_CONCURRENCY);
+export const AFFINITY_CONCURRENCY = Number.isInteger(configured) && configured > 0 ? configured : 4;
+
+// Like Promise.all(items.map(fn)) with at most `limit` calls running; results keep the input order
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
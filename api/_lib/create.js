@@ -0,0 +1,115 @@
+import {
+  searchOrganizations,
+  searchPersons,
+  getOrganization,
+  getPerson,
+  createOrganization,
+  createPerson,
+  updatePersonOrganizations,
+  addListEntry,
+  updateStatus,
+  updateFieldValue
+} from "./affinity.js";
+import { rankCandidates } from "./match.js";
+import { normalizeOrgKey, normalizePersonKey } from "./names.js";
+
+// Any list entry at least this similar to an unmatched row blocks creation: it is more likely a
+// near-miss that needs an override than a new investor.
+const CREATE_DUPLICATE_SCORE = Number(process.env.CREATE_DUPLICATE_SCORE || 0.7);
+
+function splitPersonName(name) {
+  const parts = String(name || "").trim().split(/\s+/).filter(Boolean);
+  if (parts.length < 2) return null;
+  return { firstName: parts[0], lastName: parts.slice(1).join(" ") };
+}
+
+// What to create for an unmatched row, or why not. `planned` maps normalized names already
+// proposed earlier in the same upload (to that row's number) so repeated rows don't create twice.
+export function proposeCreate(rec, trace, planned, listId) {
+  // The reason stays in redacted responses, so it names no entry; the row's `candidates` show which one it is
+  const near = rankCandidates(trace).find(c => c.score >= CREATE_DUPLICATE_SCORE);
+  if (near) {
+    return { reason: `Possible duplicate of an existing entry (score ${near.score}); not creating` };
+  }
+  const organization = rec.orgCandidates[0] || null;
+  const persons = rec.personCandidates.filter(n => splitPersonName(n));
+  if (!organization && !persons.length) return { reason: "No organization or full contact name to create" };
+
+  const key = `${listId}:` + (organization ? `org:${normalizeOrgKey(organization)}` : `person:${normalizePersonKey(persons[0])}`);
+  if (planned.has(key)) return { reason: `Already proposed for creation by row ${planned.get(key)}` };
+  return { key, create: { organization, persons } };
+}
+
+async function findOrganizationByName(name) {
+  const key = normalizeOrgKey(name);
+  const found = await searchOrganizations(name);
+  return found.find(o => normalizeOrgKey(o.name) === key) || null;
+}
+
+async function findPersonByName(name) {
+  const key = normalizePersonKey(name);
+  const found = await searchPersons(name);
+  return found.find(p => normalizePersonKey(`${p.first_name || ""} ${p.last_name || ""}`) === key) || null;
+}
+
+// Create (or reuse an exact-name match anywhere in Affinity) the organization and contacts,
+// link the contacts to the organization, and put the main entity on the list.
+export async function createEntryForRow(listId, { organization, persons }) {
+  const created = { organizationId: null, personIds: [], createdIds: [], reusedIds: [] };
+
+  let org = null;
+  if (organization) {
+    org = await findOrganizationByName(organization);
+    if (org) created.reusedIds.push(org.id);
+    else {
+      org = await createOrganization({ name: organization });
+      created.createdIds.push(org.id);
+    }
+    created.organizationId = org.id;
+  }
+
+  for (const name of persons || []) {
+    let person = await findPersonByName(name);
+    if (person) {
+      created.reusedIds.push(person.id);
+      const orgIds = person.organization_ids || (await getPerson(person.id))?.organization_ids || [];
+      if (org && !orgIds.includes(org.id)) await updatePersonOrganizations(person.id, [...orgIds, org.id]);
+    } else {
+      person = await createPerson({ ...splitPersonName(name), organizationIds: org ? [org.id] : [] });
+      created.createdIds.push(person.id);
+    }
+    created.personIds.push(person.id);
+  }
+
+  const entityId = created.organizationId ?? created.personIds[0];
+  if (entityId == null) throw new Error("Nothing to add to the list");
+
+  // A reused entity may already sit on the list (added by hand since the plan was made)
+  if (created.reusedIds.includes(entityId)) {
+    const existing = org && entityId === org.id ? await getOrganization(entityId) : await getPerson(entityId);
+    const onList = (existing?.list_entries || []).find(le => String(le.list_id) === String(listId));
+    if (onList) return { entryId: onList.id, alreadyOnList: true, ...created };
+  }
+  const entry = await addListEntry(listId, entityId);
+  return { entryId: entry.id, alreadyOnList: false, ...created };
+}
+
+// Carry out a planned or queued create: entities and list entry, then the status and the mapped fields of the new
+// entry. Each step is recorded in `writes` as soon as it went through, so a run that fails half-way still lists the
+// created entry (and what was written to it) for history and rollback. `onCreated(created)` is called once the entry
+// exists. → the `created` record; throws on the first failed step.
+export async function carryOutCreate(write, writes, { onCreated } = {}) {
+  const { id, fields = [], ...planned } = write;
+  const created = await createEntryForRow(write.listId, write);
+  // The status isn't set yet: until it is, rolling the record back leaves the new entry as it is
+  const record = { ...planned, entryId: created.entryId, created, newLabel: '', newOptionId: null };
+  writes.push(record);
+  onCreated?.(created);
+  await updateStatus(write.listId, created.entryId, write.statusFieldId, write.newOptionId, write.statusValueType);
+  Object.assign(record, { newLabel: write.newLabel, newOptionId: write.newOptionId });
+  for (const f of fields) {
+    await updateFieldValue(write.listId, created.entryId, f.fieldId, f.valueType, f.newValue);
+    writes.push({ kind: 'field', listId: write.listId, entryId: created.entryId, name: write.name, ...f });
+  }
+  return created;
+}
@@ -0,0 +1,113 @@
+import { randomUUID } from "crypto";
+import { getJson, setJson, deleteKey } from "./store.js";
+import { REDACT_RESPONSE } from "./http.js";
+import { normalizeOrgKey, normalizePersonKey } from "./names.js";
+import { expectedColumns } from "./profiles.js";
+
+// Day-over-day change detection. The last processed export (one per column profile, i.e. per report layout) is kept
+// as a baseline: each row's identity and the values of the columns that decide its status. The next upload is diffed
+// against it row by row and only new and changed rows are matched and written; ?full=1 processes every row.
+// A live run moves the baseline forward once it has finished without a failure; dry runs never do. Rows that run
+// didn't settle are kept as `pending` and processed again next time, changed or not.
+const STAGED_TTL_SECONDS = Number(process.env.JOB_TTL_SECONDS || 24 * 3600); // long enough for a background job
+const baselineKey = (profile) => `last-export:${String(profile || "default").trim().toLowerCase()}`;
+const stagedKey = (id) => `last-export:staged:${id}`;
+
+const lower = (v) => String(v ?? "").trim().toLowerCase();
+
+// Fund/offering (when routed) + organization + contacts, so the same investor in two funds are two rows.
+// Repeats of a key (several subscriptions) are told apart by their order: "<key>#2", "<key>#3", …
+function rowKeys(rows, routing) {
+  const seen = new Map();
+  return rows.map(row => {
+    const fund = routing?.column ? lower(row.raw?.[routing.column]) : "";
+    const orgs = row.orgCandidates.map(normalizeOrgKey).filter(Boolean).join("+");
+    const people = row.personCandidates.map(normalizePersonKey).filter(Boolean).sort().join("+");
+    // Rows with no name at all are keyed by their addresses
+    const emails = orgs || people ? "" : (row.emailCandidates || []).slice().sort().join("+");
+    const key = [fund, orgs, people].join("|") + (emails ? `|${emails}` : "");
+    const n = (seen.get(key) || 0) + 1;
+    seen.set(key, n);
+    return n > 1 ? `${key}#${n}` : key;
+  });
+}
+
+// Headers any status rule, the routing or a field mapping reads
+function relevantHeaders(rows, { rules, routing }) {
+  const groups = expectedColumns({ rules, routing }).filter(g => g.kind !== "names");
+  const headers = Array.from(new Set(rows.flatMap(r => Object.keys(r.raw))));
+  return headers.filter(h => groups.some(g => g.columns.some(c => lower(c) === lower(h)) || (g.pattern && new RegExp(g.pattern, "i").test(h))));
+}
+
+// → { columns, rows: { "<row key>": { row, name, values: { "<column>": "<value>" } } } }
+export function exportSnapshot(rows, { rules, routing }) {
+  const columns = relevantHeaders(rows, { rules, routing });
+  const keys = rowKeys(rows, routing);
+  const out = {};
+  rows.forEach((row, i) => {
+    const values = {};
+    for (const c of columns) values[c] = String(row.raw[c] ?? "").trim();
+    out[keys[i]] = { row: row.rowNumber, name: row.orgCandidates[0] || row.personCandidates[0] || row.emailCandidates?.[0] || "", values };
+  });
+  return { columns, rows: out };
+}
+
+export async function loadBaseline(profile) {
+  return await getJson(baselineKey(profile));
+}
+
+// The rows to process and the diff for the response. Without a baseline every row is new (and not listed).
+// `include`: row numbers processed even when unchanged (forced downgrades).
+export function diffExport(baseline, snapshot, rows, { full = false, include = [] } = {}) {
+  const who = (item) => (REDACT_RESPONSE ? { row: item.row } : { row: item.row, name: item.name });
+  const added = [];
+  const changed = [];
+  const retried = [];
+  let unchanged = 0;
+  const toProcess = new Set(include);
+  for (const [key, item] of Object.entries(snapshot.rows)) {
+    const before = baseline?.rows?.[key];
+    if (!before) { added.push(who(item)); toProcess.add(item.row); continue; }
+    const columns = Array.from(new Set([...Object.keys(before.values), ...Object.keys(item.values)]));
+    const changes = columns
+      .filter(c => (before.values[c] ?? "") !== (item.values[c] ?? ""))
+      .map(c => (REDACT_RESPONSE ? { column: c } : { column: c, from: before.values[c] ?? "", to: item.values[c] ?? "" }));
+    if (changes.length) { changed.push({ ...who(item), changes }); toProcess.add(item.row); }
+    else if (before.pending) { retried.push(who(item)); toProcess.add(item.row); }
+    else unchanged++;
+  }
+  const removed = baseline
+    ? Object.entries(baseline.rows).filter(([key]) => !snapshot.rows[key]).map(([, item]) => (REDACT_RESPONSE ? { previousRow: item.row } : { previousRow: item.row, name: item.name }))
+    : [];
+  const selected = full ? rows : rows.filter(r => toProcess.has(r.rowNumber));
+  const diff = {
+    baselineAt: baseline?.createdAt || null,
+    full,
+    counts: { new: added.length, changed: changed.length, retried: retried.length, removed: removed.length, unchanged, processed: selected.length, skipped: rows.length - selected.length },
+    ...(baseline ? { new: added, changed, retried, removed } : {})
+  };
+  return { diff, rows: selected };
+}
+
+// The upload's snapshot waits here until its run finishes (a background job can take a while)
+export async function stageBaseline(profile, snapshot) {
+  const stagedId = randomUUID();
+  await setJson(stagedKey(stagedId), { profile, createdAt: new Date().toISOString(), ...snapshot }, { ttlSeconds: STAGED_TTL_SECONDS });
+  return stagedId;
+}
+
+// Make the staged snapshot the baseline. Rows whose writes failed keep their old baseline values (or stay out of it),
+// so the next upload tries them again.
+// `unsettledRows`: row numbers the run processed without writing the derived status or finding it already there
+// (unmatched, below the threshold, blocked, failed, …); they stay pending so an override or a fix in Affinity is
+// picked up by the next upload
+export async function commitBaseline(stagedId, unsettledRows = []) {
+  const staged = await getJson(stagedKey(stagedId));
+  if (!staged) throw new Error("The export baseline expired before the run finished");
+  const unsettled = new Set(unsettledRows);
+  for (const [key, item] of Object.entries(staged.rows)) {
+    if (unsettled.has(item.row)) staged.rows[key] = { ...item, pending: true };
+  }
+  await setJson(baselineKey(staged.profile), staged);
+  await deleteKey(stagedKey(stagedId)).catch(() => {});
+}
@@ -0,0 +1,174 @@
+import { safeBestMatch } from "./names.js";
+
+// Extra JSQ column → Affinity field mappings (besides the status field).
+// FIELD_MAPPINGS_JSON: [{ column, field, type?, policy?, map? }]
+//   type:   number | date | text | dropdown (defaults to the Affinity field's value type)
+//   policy: overwrite (default) | only-if-empty | only-if-increasing
+//   map:    optional CSV value → dropdown label aliases
+export const POLICIES = ["overwrite", "only-if-empty", "only-if-increasing"];
+
+export function parseFieldMappings(raw) {
+  try {
+    const arr = typeof raw === "string" ? JSON.parse(raw) : raw;
+    return Array.isArray(arr) ? arr.filter(m => m && m.column && m.field) : [];
+  } catch { return []; }
+}
+
+// Affinity v2 value types → the conversion we apply to the CSV text
+function kindFor(type) {
+  const t = String(type || "").toLowerCase();
+  if (t === "number") return "number";
+  if (t === "date" || t === "datetime") return "datetime";
+  if (t === "dropdown" || t === "ranked-dropdown") return t;
+  if (t === "text") return "text";
+  return null;
+}
+
+// Match configured mappings to the list's fields. Unknown fields or unsupported types become warnings.
+export function resolveFieldMappings(listFields, mappings) {
+  const resolved = [];
+  const warnings = [];
+  for (const m of mappings || []) {
+    const want = String(m.field).toLowerCase();
+    const field = (listFields || []).find(f => String(f?.name || "").toLowerCase() === want || String(f?.id) === String(m.field));
+    if (!field) { warnings.push(`Field '${m.field}' (column '${m.column}') not found on this list`); continue; }
+    const valueType = field.valueType || field.value_type || "";
+    // Multi-value fields ("number-multi", "dropdown-multi") hold a list, which one CSV cell is never written or compared as
+    if (/-multi$/i.test(valueType)) { warnings.push(`Field '${field.name}' holds several values ('${valueType}'), which mappings don't support; skipping`); continue; }
+    const kind = kindFor(m.type) || kindFor(valueType);
+    if (!kind) { warnings.push(`Field '${field.name}' has unsupported type '${m.type || valueType}'`); continue; }
+    const policy = POLICIES.includes(m.policy) ? m.policy : "overwrite";
+    if (m.policy && m.policy !== policy) warnings.push(`Unknown policy '${m.policy}' for field '${field.name}'; using overwrite`);
+    if (policy === "only-if-increasing" && kind === "text") {
+      warnings.push(`Policy only-if-increasing does not apply to text field '${field.name}'; skipping`);
+      continue;
+    }
+    const options = field.dropdown_options || field.dropdownOptions || field.options || [];
+    resolved.push({
+      column: String(m.column),
+      fieldId: field.id,
+      fieldName: field.name,
+      valueType: valueType || (kind === "datetime" ? "datetime" : kind),
+      kind,
+      policy,
+      options,
+      aliases: Object.fromEntries(Object.entries(m.map || {}).map(([k, v]) => [String(k).toLowerCase(), v]))
+    });
+  }
+  return { mappings: resolved, warnings };
+}
+
+function cellValue(row, column) {
+  if (row[column] != null) return String(row[column]).trim();
+  const want = column.trim().toLowerCase();
+  const key = Object.keys(row).find(k => k.trim().toLowerCase() === want);
+  return key ? String(row[key] ?? "").trim() : "";
+}
+
+// "$1,250,000", "250k", "1.5M", "(2,000)" → number
+function parseNumber(s) {
+  const m = String(s).replace(/[$€£,\s]/g, "").match(/^(\(?)(-?\d*\.?\d+)([kmb]?)\)?$/i);
+  if (!m) return null;
+  const scale = { k: 1e3, m: 1e6, b: 1e9 }[m[3].toLowerCase()] || 1;
+  const n = Number(m[2]) * scale;
+  return Number.isFinite(n) ? (m[1] ? -n : n) : null;
+}
+
+// Date-only values are written as midnight UTC of the calendar day shown in the CSV
+function parseDate(s) {
+  if (/not\s*yet|never|^n\/?a$/i.test(s)) return null;
+  const iso = String(s).match(/^(\d{4})-(\d{2})-(\d{2})/);
+  const d = iso ? new Date(Date.UTC(+iso[1], +iso[2] - 1, +iso[3])) : new Date(s);
+  if (Number.isNaN(d.getTime())) return null;
+  return iso ? d.toISOString() : new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate())).toISOString();
+}
+
+function optionLabel(o) {
+  return String(o?.name || o?.label || o?.text || "");
+}
+
+// CSV text → Affinity value data for the mapping, or { error }
+export function convertCell(text, mapping) {
+  const raw = mapping.aliases[String(text).toLowerCase()] ?? text;
+  switch (mapping.kind) {
+    case "number": {
+      const n = parseNumber(raw);
+      return n == null ? { error: `'${text}' is not a number` } : { data: n };
+    }
+    case "datetime": {
+      const d = parseDate(raw);
+      return d == null ? { error: `'${text}' is not a date` } : { data: d };
+    }
+    case "text":
+      return { data: String(raw) };
+    default: {
+      const labels = mapping.options.map(o => optionLabel(o).toLowerCase());
+      const norm = String(raw).toLowerCase();
+      const hit = labels.includes(norm) ? norm : safeBestMatch(norm, labels, 0.80);
+      const option = hit != null ? mapping.options[labels.indexOf(hit)] : null;
+      return option ? { data: { dropdownOptionId: option.id } } : { error: `Unknown option '${text}' for field '${mapping.fieldName}'` };
+    }
+  }
+}
+
+function isEmptyValue(data) {
+  return data == null || data === "" || (typeof data === "object" && data.dropdownOptionId == null && !Array.isArray(data));
+}
+
+// Comparable form of a value: number, timestamp, option rank or text
+function comparable(kind, data, options) {
+  if (isEmptyValue(data)) return null;
+  if (kind === "number") return Number(data);
+  if (kind === "datetime") return new Date(data).getTime();
+  if (kind === "dropdown" || kind === "ranked-dropdown") {
+    const idx = (options || []).findIndex(o => String(o.id) === String(data.dropdownOptionId));
+    return idx === -1 ? String(data.dropdownOptionId) : idx;
+  }
+  return String(data);
+}
+
+export function sameFieldValue(kind, a, b, options) {
+  return comparable(kind, a, options) === comparable(kind, b, options);
+}
+
+export function fieldValueLabel(kind, data, options) {
+  if (isEmptyValue(data)) return "";
+  if (kind === "datetime") return String(data).slice(0, 10);
+  if (kind === "dropdown" || kind === "ranked-dropdown") {
+    if (data.text) return String(data.text);
+    const option = (options || []).find(o => String(o.id) === String(data.dropdownOptionId));
+    return option ? optionLabel(option) : String(data.dropdownOptionId);
+  }
+  return String(data);
+}
+
+// Decide each mapped field for one row: { field, column, previous, value, change, reason?, data? }.
+// `current` maps fieldId → the entry's current value data (empty for new entries).
+export function diffFieldValues(row, mappings, current) {
+  const out = [];
+  for (const m of mappings) {
+    const text = cellValue(row, m.column);
+    if (!text) continue;
+    const before = current?.get(String(m.fieldId)) ?? null;
+    const base = { field: m.fieldName, column: m.column, previous: fieldValueLabel(m.kind, before, m.options) };
+    const converted = convertCell(text, m);
+    if (converted.error) { out.push({ ...base, value: text, change: false, reason: converted.error }); continue; }
+    const value = fieldValueLabel(m.kind, converted.data, m.options);
+    const next = { ...base, value, mapping: m, previousData: before, data: converted.data };
+    if (sameFieldValue(m.kind, before, converted.data, m.options)) { out.push({ ...next, change: false, reason: "Unchanged" }); continue; }
+    if (m.policy === "only-if-empty" && !isEmptyValue(before)) {
+      out.push({ ...next, change: false, reason: "Already set (only-if-empty)" });
+      continue;
+    }
+    if (m.policy === "only-if-increasing" && !isEmptyValue(before)) {
+      const a = comparable(m.kind, before, m.options);
+      const b = comparable(m.kind, converted.data, m.options);
+      if (typeof a !== typeof b || !(b > a)) {
+        out.push({ ...next, change: false, reason: "Not an increase (only-if-increasing)" });
+        continue;
+      }
+    }
+    out.push({ ...next, change: true });
+  }
+  return out;
+}
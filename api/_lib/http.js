@@ -0,0 +1,110 @@
+// Safely read CSV body without destroying the request stream
+export async function readCsvBody(req, limitBytes) {
+  return await new Promise((resolve) => {
+    let data = "";
+    let total = 0;
+    let done = false;
+    function finish(result) { if (done) return; done = true; resolve(result); }
+    try { req.setEncoding('utf8'); } catch {}
+    req.on('data', (chunk) => {
+      if (done) return;
+      total += chunk.length;
+      if (limitBytes && total > limitBytes) {
+        try { req.pause(); } catch {}
+        req.removeAllListeners('data');
+        req.removeAllListeners('end');
+        return finish({ text: "", tooLarge: true });
+      }
+      data += chunk;
+    });
+    req.on('end', () => finish({ text: data, tooLarge: false }));
+    req.on('error', () => finish({ text: "", tooLarge: false }));
+    req.on('aborted', () => finish({ text: "", tooLarge: false }));
+  });
+}
+
+// Raw body bytes (uploads may be UTF-16 text or .xlsx, so no decoding here)
+export async function readRawBody(req, limitBytes) {
+  if (Buffer.isBuffer(req.body)) return { buffer: req.body, tooLarge: limitBytes ? req.body.length > limitBytes : false };
+  if (typeof req.body === "string") {
+    const buffer = Buffer.from(req.body, "utf8");
+    return { buffer, tooLarge: limitBytes ? buffer.length > limitBytes : false };
+  }
+  return await new Promise((resolve) => {
+    const chunks = [];
+    let total = 0;
+    let done = false;
+    function finish(result) { if (done) return; done = true; resolve(result); }
+    req.on('data', (chunk) => {
+      if (done) return;
+      total += chunk.length;
+      if (limitBytes && total > limitBytes) {
+        try { req.pause(); } catch {}
+        req.removeAllListeners('data');
+        req.removeAllListeners('end');
+        return finish({ buffer: Buffer.alloc(0), tooLarge: true });
+      }
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+    });
+    req.on('end', () => finish({ buffer: Buffer.concat(chunks), tooLarge: false }));
+    req.on('error', () => finish({ buffer: Buffer.alloc(0), tooLarge: false }));
+    req.on('aborted', () => finish({ buffer: Buffer.alloc(0), tooLarge: false }));
+  });
+}
+
+// multipart/form-data body → [{ name, filename, contentType, data (Buffer) }]
+export function parseMultipart(buffer, contentType) {
+  const m = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(String(contentType || ''));
+  if (!m) return [];
+  const boundary = Buffer.from(`--${m[1] || m[2]}`);
+  const parts = [];
+  let start = buffer.indexOf(boundary);
+  while (start !== -1) {
+    start += boundary.length;
+    if (buffer.toString('latin1', start, start + 2) === '--') break;
+    const next = buffer.indexOf(boundary, start);
+    if (next === -1) break;
+    // Each part sits between the CRLF after the boundary line and the CRLF before the next boundary
+    const part = buffer.subarray(start + 2, next - 2);
+    const headEnd = part.indexOf('\r\n\r\n');
+    if (headEnd !== -1) {
+      const head = part.toString('utf8', 0, headEnd);
+      const disposition = /content-disposition:[^\r\n]*/i.exec(head)?.[0] || '';
+      parts.push({
+        name: /\bname="([^"]*)"/i.exec(disposition)?.[1],
+        filename: /\bfilename="([^"]*)"/i.exec(disposition)?.[1],
+        contentType: /content-type:\s*([^\r\n]+)/i.exec(head)?.[1]?.trim(),
+        data: part.subarray(headEnd + 4)
+      });
+    }
+    start = next;
+  }
+  return parts;
+}
+
+// JSON body: Vercel pre-parses it into req.body; fall back to reading the stream
+export async function readJsonBody(req, limitBytes) {
+  if (req.body && typeof req.body === "object" && !Buffer.isBuffer(req.body)) return req.body;
+  let raw = typeof req.body === "string" ? req.body : (Buffer.isBuffer(req.body) ? req.body.toString("utf8") : "");
+  if (!raw && req.body === undefined) {
+    const { text, tooLarge } = await readCsvBody(req, limitBytes);
+    if (tooLarge) return null;
+    raw = text;
+  }
+  return raw ? JSON.parse(raw) : {};
+}
+
+export function queryParam(req, name) {
+  try {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    return url.searchParams.get(name);
+  } catch { return null; }
+}
+
+export const REDACT_RESPONSE = process.env.REDACT_RESPONSE === '1';
+
+// Drop names and entry ids from per-entry response items when REDACT_RESPONSE=1
+export function redactIdentities(items) {
+  if (!REDACT_RESPONSE) return items;
+  return (items || []).map(({ name, entryId, ...rest }) => rest);
+}
@@ -0,0 +1,46 @@
+import { createHash } from "crypto";
+import { getJson, setJson, deleteKey, setJsonIfAbsent } from "./store.js";
+
+// Repeated uploads get the first upload's response instead of a second run:
+//   - a request with an Idempotency-Key header, repeated by the same caller with the same key (any upload, kept
+//     IDEMPOTENCY_TTL_SECONDS), e.g. a client retrying after a timeout
+//   - a live upload of the same parsed rows with the same options, by anyone, within DUPLICATE_UPLOAD_WINDOW_SECONDS
+//     of a successful one (runs that failed, or had a failed write, are not kept, so they can be retried straight away);
+//     0 turns this off
+// A repeat that arrives while the first is still running is refused.
+const IDEMPOTENCY_TTL_SECONDS = Number(process.env.IDEMPOTENCY_TTL_SECONDS || 24 * 3600);
+export const DUPLICATE_UPLOAD_WINDOW_SECONDS = Number(process.env.DUPLICATE_UPLOAD_WINDOW_SECONDS || 3600);
+const RUNNING_TTL_SECONDS = 15 * 60; // a request that dies mid-run stops blocking its repeats after this
+
+// Parsed rows (after the column profile) plus everything that changes what a run does, so the same export
+// re-saved in another encoding or format hashes the same
+export function uploadHash(rows, options) {
+  return createHash("sha256").update(JSON.stringify({ options, rows: rows.map(r => r.raw) })).digest("hex");
+}
+
+// → { key, implicit, existing? }: `existing` is the stored record when this upload was seen before
+export async function claimUpload({ idempotencyKey, hash, caller }) {
+  const implicit = !idempotencyKey;
+  const key = implicit ? `upload:${hash}` : `idempotency:${caller}:${idempotencyKey}`;
+  const ttlSeconds = Math.min(RUNNING_TTL_SECONDS, implicit ? DUPLICATE_UPLOAD_WINDOW_SECONDS : IDEMPOTENCY_TTL_SECONDS);
+  const record = { status: "running", hash, caller, startedAt: new Date().toISOString() };
+  for (let attempt = 0; attempt < 2; attempt++) {
+    if (await setJsonIfAbsent(key, record, { ttlSeconds })) return { key, implicit, startedAt: record.startedAt };
+    const existing = await getJson(key);
+    if (existing) return { key, implicit, existing };
+    // Expired between the two calls: claim again
+  }
+  throw new Error("Could not record the upload for idempotency");
+}
+
+// Keep the response for repeats; an implicit claim keeps only runs that `succeeded`
+export async function completeUpload(claim, statusCode, body, { succeeded = true } = {}) {
+  if (claim.implicit && !succeeded) return await releaseUpload(claim);
+  const ttlSeconds = claim.implicit ? DUPLICATE_UPLOAD_WINDOW_SECONDS : IDEMPOTENCY_TTL_SECONDS;
+  const existing = (await getJson(claim.key)) || {};
+  await setJson(claim.key, { ...existing, status: "done", statusCode, body, finishedAt: new Date().toISOString() }, { ttlSeconds });
+}
+
+export async function releaseUpload(claim) {
+  await deleteKey(claim.key).catch(() => {});
+}
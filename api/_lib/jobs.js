@@ -0,0 +1,105 @@
+import { randomUUID } from "crypto";
+import { getJson, setJson, deleteKey, setJsonIfAbsent } from "./store.js";
+import { syncRows, syncProgress, finishSync } from "./sync.js";
+import { releaseUpload } from "./idempotency.js";
+
+// Background sync jobs for exports too big for one request. Vercel freezes a function once it has answered,
+// so a job advances in steps instead: each status poll (GET /api/jobs?id=) syncs rows for up to JOB_STEP_MS,
+// a chunk of JOB_CHUNK_ROWS at a time, saving the progress after every chunk.
+export const MAX_JOB_CSV_BYTES = Number(process.env.MAX_JOB_CSV_BYTES || 10_000_000);
+const JOB_CHUNK_ROWS = Number(process.env.JOB_CHUNK_ROWS || 100);
+const JOB_STEP_MS = Number(process.env.JOB_STEP_MS || 8000);
+const JOB_TTL_SECONDS = Number(process.env.JOB_TTL_SECONDS || 24 * 3600);
+
+const jobKey = (jobId) => `job:${jobId}`;
+const chunkKey = (jobId, n) => `job:${jobId}:rows:${n}`;
+const lockKey = (jobId) => `job:${jobId}:lock`;
+
+export function newJobId() {
+  return `job_${randomUUID()}`;
+}
+
+function progressOf(job) {
+  return { total: job.total, chunks: job.chunks, chunksDone: job.nextChunk, ...syncProgress(job.state) };
+}
+
+async function saveJob(job) {
+  job.updatedAt = new Date().toISOString();
+  await setJson(jobKey(job.jobId), job, { ttlSeconds: JOB_TTL_SECONDS });
+  return job;
+}
+
+// Rows are stored in chunks next to the job so a step only reads the rows it processes
+export async function createJob(rows, state) {
+  const jobId = newJobId();
+  const chunks = Math.ceil(rows.length / JOB_CHUNK_ROWS);
+  for (let n = 0; n < chunks; n++) {
+    await setJson(chunkKey(jobId, n), rows.slice(n * JOB_CHUNK_ROWS, (n + 1) * JOB_CHUNK_ROWS), { ttlSeconds: JOB_TTL_SECONDS });
+  }
+  const job = { jobId, status: "queued", createdAt: new Date().toISOString(), caller: state.caller, dryRun: state.isDryRun, total: rows.length, chunks, nextChunk: 0, state };
+  job.progress = progressOf(job);
+  return await saveJob(job);
+}
+
+export async function getJob(jobId) {
+  if (!jobId) return null;
+  return await getJson(jobKey(jobId));
+}
+
+// The job as reported to callers: the working state stays internal; `result` appears once it is done
+export function publicJob(job) {
+  const { state, nextChunk, ...rest } = job;
+  return rest;
+}
+
+async function finishJob(job) {
+  // Every stored chunk, for the results report (a chunk that has expired is left out of it)
+  const rows = [];
+  for (let n = 0; n < job.chunks; n++) rows.push(...((await getJson(chunkKey(job.jobId, n))) || []));
+  job.result = await finishSync(job.state, rows);
+  // A failed job (or one with a failed write) doesn't block uploading the same export again (see api/_lib/idempotency.js)
+  const failed = !job.result.ok || syncProgress(job.state).failed > 0;
+  if (job.state.uploadClaim?.implicit && failed) await releaseUpload(job.state.uploadClaim);
+  job.status = "done";
+  job.finishedAt = new Date().toISOString();
+  delete job.state;
+  for (let n = 0; n < job.chunks; n++) await deleteKey(chunkKey(job.jobId, n)).catch(() => {});
+}
+
+// Run the job's next chunks for up to JOB_STEP_MS. A poll that finds another poll already working on the job
+// returns the job as it stands instead of waiting.
+export async function advanceJob(jobId) {
+  let job = await getJob(jobId);
+  if (!job || job.status === "done") return job;
+  const lockSeconds = Math.ceil(JOB_STEP_MS / 1000) + 120; // a chunk started near the end of the step can overrun it
+  if (!(await setJsonIfAbsent(lockKey(jobId), { at: new Date().toISOString() }, { ttlSeconds: lockSeconds }))) return job;
+  try {
+    // Re-read under the lock: the previous holder may have saved more progress
+    job = (await getJob(jobId)) || job;
+    if (job.status === "done") return job;
+    job.status = "running";
+    const started = Date.now();
+    try {
+      // At least one chunk per step, so a poll always moves the job forward
+      while (job.nextChunk < job.chunks) {
+        const rows = await getJson(chunkKey(jobId, job.nextChunk));
+        if (!rows) throw new Error(`Rows of chunk ${job.nextChunk + 1} of ${job.chunks} are no longer stored`);
+        await syncRows(rows, job.state);
+        job.nextChunk++;
+        job.progress = progressOf(job);
+        await saveJob(job);
+        if (Date.now() - started >= JOB_STEP_MS) break;
+      }
+    } catch (e) {
+      // Stop like a failed list does: the rest is unprocessed, and writes made so far still get their run record
+      job.state.failure ??= { status: e?.response?.status || 500, data: e?.response?.data || e.message };
+      job.state.unprocessed = job.total - syncProgress(job.state).processed;
+      job.nextChunk = job.chunks;
+    }
+    job.progress = progressOf(job);
+    if (job.nextChunk >= job.chunks) await finishJob(job);
+    return await saveJob(job);
+  } finally {
+    await deleteKey(lockKey(jobId)).catch(() => {});
+  }
+}
@@ -0,0 +1,154 @@
+import { LIST_ID } from "./affinity.js";
+import { parseFieldMappings } from "./fields.js";
+
+// Built-in pipeline order (earliest → latest), used only when the status field's options carry no ranks
+// and no statusOrder is configured. Normally the order comes from the Affinity ranked-dropdown (see buildPipeline).
+export const STATUS_ORDER = [
+  "Target Identified",
+  "Intro/First Meeting",
+  "Early Dialogue (Post-Intro)",
+  "Deck & PPM Sent",
+  "Circle Back after First Close",
+  "Invited to Data Room",
+  "Data Room Accessed / NDA Executed",
+  "Verbal Commit",
+  "Ready for Sub Docs",
+  "Sub Docs Sent",
+  "Sub Docs Signed",
+  "Committed"
+];
+export const MIN_STATUS_LABEL = process.env.MIN_STATUS_LABEL || "Invited to Data Room";
+// Terminal stages: an entry in one of these is never changed by the sync
+export const LOCKED_STATUS_LABELS = ["Passed", "Declined", "No Go", "No-Go"];
+
+function parseJsonEnv(name, fallback) {
+  try {
+    const raw = process.env[name];
+    return raw ? JSON.parse(raw) : fallback;
+  } catch { return fallback; }
+}
+
+function lowerKeys(obj) {
+  const out = {};
+  Object.entries(obj || {}).forEach(([k, v]) => { out[String(k).toLowerCase()] = v; });
+  return out;
+}
+
+function nonEmptyArray(value) {
+  return Array.isArray(value) && value.length ? value : null;
+}
+
+// One Affinity list target: which list, which status field, an optional pipeline order override,
+// lock stages, label aliases and extra field mappings
+function makeListConfig(key, cfg, base) {
+  return {
+    key,
+    listId: Number(cfg?.listId ?? base.listId),
+    statusFieldName: cfg?.statusFieldName || base.statusFieldName,
+    statusOrder: nonEmptyArray(cfg?.statusOrder) || base.statusOrder,
+    lockedStatuses: new Set((nonEmptyArray(cfg?.lockedStatuses) || Array.from(base.lockedStatuses)).map(s => String(s).trim().toLowerCase())),
+    minStatusLabel: cfg?.minStatusLabel || base.minStatusLabel,
+    labelAliases: { ...base.labelAliases, ...lowerKeys(cfg?.labelAliases) },
+    fieldMappings: Array.isArray(cfg?.fieldMappings) ? parseFieldMappings(cfg.fieldMappings) : base.fieldMappings
+  };
+}
+
+const BASE_LIST = makeListConfig("default", null, {
+  listId: LIST_ID,
+  statusFieldName: process.env.STATUS_FIELD_NAME || "Status",
+  statusOrder: nonEmptyArray(parseJsonEnv("STATUS_ORDER_JSON", null)),
+  lockedStatuses: nonEmptyArray(parseJsonEnv("LOCKED_STATUS_LABELS_JSON", null)) || LOCKED_STATUS_LABELS,
+  minStatusLabel: MIN_STATUS_LABEL,
+  labelAliases: lowerKeys(parseJsonEnv("STATUS_LABEL_ALIASES_JSON", {})),
+  fieldMappings: parseFieldMappings(process.env.FIELD_MAPPINGS_JSON || "[]")
+});
+
+// LIST_ROUTING_JSON: { column, default?, lists: { "<fund/offering value>": { listId, statusFieldName?, statusOrder?, lockedStatuses?, minStatusLabel?, labelAliases?, fieldMappings? } } }
+const ROUTING = parseJsonEnv("LIST_ROUTING_JSON", null);
+
+export function loadRouting() {
+  if (!ROUTING || !ROUTING.column) return { column: null, lists: new Map(), fallback: BASE_LIST };
+  const lists = new Map();
+  Object.entries(ROUTING.lists || {}).forEach(([value, cfg]) => {
+    lists.set(String(value).trim().toLowerCase(), makeListConfig(String(value), cfg, BASE_LIST));
+  });
+  const fallback = ROUTING.default === false ? null : makeListConfig("default", ROUTING.default || null, BASE_LIST);
+  return { column: String(ROUTING.column), lists, fallback };
+}
+
+// Every distinct list the routing can send rows to (the default first)
+export function configuredLists(routing = loadRouting()) {
+  const seen = new Map();
+  for (const cfg of [routing.fallback, ...routing.lists.values()]) {
+    if (cfg && !seen.has(cfg.listId)) seen.set(cfg.listId, cfg);
+  }
+  return Array.from(seen.values());
+}
+
+// Split rows by the routing column. Rows whose value has no list (and no default) come back in `unrouted`.
+export function routeRows(rows, routing = loadRouting()) {
+  const groups = new Map();
+  const unrouted = [];
+  for (const row of rows) {
+    const value = routing.column ? String(row.raw?.[routing.column] ?? "").trim() : "";
+    const cfg = (value && routing.lists.get(value.toLowerCase())) || routing.fallback;
+    if (!cfg) { unrouted.push({ row, value }); continue; }
+    const groupKey = `${cfg.key}:${cfg.listId}`;
+    if (!groups.has(groupKey)) groups.set(groupKey, { list: cfg, rows: [] });
+    groups.get(groupKey).rows.push(row);
+  }
+  return { groups: Array.from(groups.values()), unrouted };
+}
+
+function optionText(o) {
+  return String(o?.name || o?.label || o?.text || "");
+}
+
+// Pipeline order for one list, keyed by dropdown option id so renamed labels and aliases still place correctly.
+// Source: the list's statusOrder (config) if set, else the ranked-dropdown ranks from Affinity, else STATUS_ORDER.
+// Lock stages are left out of the order; they are handled before any ordering check.
+export function buildPipeline(list, statusField, labelToId) {
+  const warnings = [];
+  const options = statusField?.dropdown_options || statusField?.dropdownOptions || statusField?.options || [];
+  const isLocked = (label) => list.lockedStatuses.has(String(label).trim().toLowerCase());
+  const lookup = (label) => {
+    const lower = String(label).toLowerCase();
+    return labelToId.get(lower) ?? labelToId.get(String(list.labelAliases[lower] || "").toLowerCase());
+  };
+
+  let source;
+  let steps;
+  const ranked = options.filter(o => o?.rank != null && !isLocked(optionText(o)));
+  if (list.statusOrder) {
+    source = "config";
+    steps = list.statusOrder.filter(label => !isLocked(label)).map(label => ({ label: String(label), optionId: lookup(label) }));
+    const configured = new Set(steps.map(s => String(s.optionId)));
+    options.filter(o => !isLocked(optionText(o)) && !configured.has(String(o.id))).forEach(o => {
+      warnings.push(`Affinity option '${optionText(o)}' is not in the configured statusOrder; entries in it are not updated`);
+    });
+  } else if (ranked.length) {
+    source = "affinity";
+    steps = ranked.sort((a, b) => Number(a.rank) - Number(b.rank)).map(o => ({ label: optionText(o), optionId: o.id }));
+  } else {
+    source = "built-in";
+    steps = STATUS_ORDER.filter(label => !isLocked(label)).map(label => ({ label, optionId: lookup(label) }));
+    warnings.push(`Status field '${statusField?.name}' has no option ranks; using the built-in order`);
+  }
+  steps.filter(s => s.optionId == null).forEach(s => warnings.push(`Stage '${s.label}' in the ${source} order is not an option of '${statusField?.name}'`));
+
+  const rankById = new Map();
+  steps.filter(s => s.optionId != null).forEach((s, i) => { if (!rankById.has(String(s.optionId))) rankById.set(String(s.optionId), i); });
+
+  const minOptionId = lookup(list.minStatusLabel);
+  const minIdx = minOptionId != null && rankById.has(String(minOptionId)) ? rankById.get(String(minOptionId)) : -1;
+  if (minIdx === -1) warnings.push(`Minimum stage '${list.minStatusLabel}' is not in the pipeline order; minimum threshold disabled`);
+
+  return {
+    source,
+    order: steps.filter(s => s.optionId != null).map(s => s.label),
+    minIdx,
+    warnings,
+    isLocked,
+    rankOf: (optionId) => (optionId == null ? undefined : rankById.get(String(optionId)))
+  };
+}
@@ -0,0 +1,54 @@
+import { randomUUID } from "crypto";
+import { getJson, setJson, deleteKey, setJsonIfAbsent } from "./store.js";
+
+// Per-list write locks: one live sync, apply or rollback writes to a list at a time. A lock names its owner, so the
+// steps of a background job take it again; it expires after LIST_LOCK_TTL_SECONDS in case its holder never finishes
+// (a job nobody polls any more), and every step renews it.
+const LIST_LOCK_TTL_SECONDS = Number(process.env.LIST_LOCK_TTL_SECONDS || 600);
+const lockKey = (listId) => `list-lock:${listId}`;
+
+export function newLockId() {
+  return `lock_${randomUUID()}`;
+}
+
+async function holdListLock(listId, lockId, info) {
+  const lock = { lockId, ...info, at: new Date().toISOString() };
+  for (let attempt = 0; attempt < 3; attempt++) {
+    if (await setJsonIfAbsent(lockKey(listId), lock, { ttlSeconds: LIST_LOCK_TTL_SECONDS })) return null;
+    const holder = await getJson(lockKey(listId));
+    // Gone (expired or let go) since the attempt: take it the same way again, never by overwriting
+    if (!holder) continue;
+    if (holder.lockId !== lockId) return holder;
+    // Ours already: renew it
+    await setJson(lockKey(listId), { ...holder, ...lock }, { ttlSeconds: LIST_LOCK_TTL_SECONDS });
+    return null;
+  }
+  // Still no readable holder: someone keeps taking and letting it go, or it can't be read; either way it isn't ours
+  return { at: lock.at };
+}
+
+// Take (or renew) the locks of every list, in a fixed order. → null when all are held, else { listId, holder } of the
+// first list another run holds; locks taken by this call are let go again.
+export async function holdListLocks(listIds, lockId, info = {}) {
+  const taken = [];
+  for (const listId of Array.from(new Set(listIds.map(String))).sort()) {
+    const holder = await holdListLock(listId, lockId, info);
+    if (holder) {
+      await releaseListLocks(taken, lockId);
+      return { listId, holder };
+    }
+    taken.push(listId);
+  }
+  return null;
+}
+
+export async function releaseListLocks(listIds, lockId) {
+  for (const listId of listIds) {
+    const holder = await getJson(lockKey(listId));
+    if (holder?.lockId === lockId) await deleteKey(lockKey(listId)).catch(() => {});
+  }
+}
+
+export function lockedMessage({ listId, holder }) {
+  return `List ${listId} is being written by another run (${holder.caller || "unknown caller"}, since ${holder.startedAt || holder.at}); try again when it has finished`;
+}
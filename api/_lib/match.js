@@ -0,0 +1,385 @@
+import {
+  normalizeOrgKey,
+  normalizePersonKey,
+  personKeyVariants,
+  classifyEntityType,
+  entityDisplayName,
+  entityEmails,
+  entityDomains,
+  organizationDomain,
+  safeBestMatchWithRating,
+  safeRankedMatches
+} from "./names.js";
+
+// Type-specific lookup tables over the list entries, including names from People/Organization fields
+export function buildMatchIndexes(entries, associationsById) {
+  const orgKeyToEntry = new Map();
+  const personKeyToEntry = new Map();
+  const orgKeys = new Set();
+  const personKeys = new Set();
+
+  // Indices from associations (People/Org fields)
+  const personAssocKeyToEntries = new Map(); // key -> Entry[]
+  const orgAssocKeyToEntries = new Map();
+
+  // Email and domain indices: a person entry's own addresses, addresses of people associated with an entry, and
+  // the domains of organization entries (an association's domain is too loose to place a row on its own)
+  const emailToEntry = new Map();
+  const emailAssocToEntries = new Map(); // email -> Entry[]
+  const domainToEntries = new Map(); // domain -> Entry[]
+  const addTo = (map, key, e) => {
+    if (!map.has(key)) map.set(key, []);
+    const arr = map.get(key);
+    if (!arr.find(x => x.id === e.id)) arr.push(e);
+  };
+
+  for (const e of entries) {
+    const ent = e?.entity || {};
+    const entType = classifyEntityType(ent);
+    if (entType === 'person') {
+      const first = ent.first_name ? String(ent.first_name) : "";
+      const last = ent.last_name ? String(ent.last_name) : "";
+      const display = (first || last) ? `${first} ${last}`.trim() : String(ent.name || '').trim();
+      const variants = personKeyVariants(display);
+      for (const v of variants) {
+        if (!personKeyToEntry.has(v)) personKeyToEntry.set(v, e);
+        personKeys.add(v);
+      }
+      for (const email of entityEmails(ent)) if (!emailToEntry.has(email)) emailToEntry.set(email, e);
+    } else {
+      const nm = ent.name ? String(ent.name) : "";
+      if (nm) {
+        const key = normalizeOrgKey(nm);
+        if (!orgKeyToEntry.has(key)) orgKeyToEntry.set(key, e);
+        orgKeys.add(key);
+      }
+      for (const domain of entityDomains(ent)) addTo(domainToEntries, domain, e);
+    }
+    // Build assoc indices
+    const assoc = associationsById.get(e.id) || { assocPeople: [], assocOrgs: [] };
+    for (const pn of assoc.assocPeople || []) {
+      const variants = personKeyVariants(pn);
+      for (const v of variants) {
+        if (!personAssocKeyToEntries.has(v)) personAssocKeyToEntries.set(v, []);
+        const arr = personAssocKeyToEntries.get(v);
+        if (!arr.find(x => x.id === e.id)) arr.push(e);
+      }
+    }
+    for (const on of assoc.assocOrgs || []) {
+      const ok = normalizeOrgKey(on);
+      if (!orgAssocKeyToEntries.has(ok)) orgAssocKeyToEntries.set(ok, []);
+      const arr2 = orgAssocKeyToEntries.get(ok);
+      if (!arr2.find(x => x.id === e.id)) arr2.push(e);
+    }
+    // Snapshots stored before emails were indexed have no assocEmails
+    for (const email of assoc.assocEmails || []) addTo(emailAssocToEntries, email, e);
+  }
+
+  return {
+    orgKeyToEntry, personKeyToEntry, orgKeys, personKeys, personAssocKeyToEntries, orgAssocKeyToEntries, associationsById,
+    emailToEntry, emailAssocToEntries, domainToEntries
+  };
+}
+
+// A contact named on the row (e.g. in the data room access detail) → the list entry they belong to, exact names and
+// nicknames only. The row's matched entry wins when the contact is that person or one of its associated people.
+// Returns { via: 'entry' | 'association' | 'person' | 'associated', entryId, entityName } or null.
+export function matchContact(name, indexes, entry = null) {
+  const variants = personKeyVariants(name);
+  if (!variants.length) return null;
+  const out = (via, e) => ({ via, entryId: e.id, entityName: entityDisplayName(e.entity) });
+  if (entry) {
+    if (variants.some(v => indexes.personKeyToEntry.get(v)?.id === entry.id)) return out('entry', entry);
+    if (variants.some(v => (indexes.personAssocKeyToEntries.get(v) || []).some(e => e.id === entry.id))) return out('association', entry);
+  }
+  for (const v of variants) {
+    const e = indexes.personKeyToEntry.get(v);
+    if (e) return out('person', e);
+  }
+  for (const v of variants) {
+    const list = indexes.personAssocKeyToEntries.get(v) || [];
+    if (list.length === 1) return out('associated', list[0]);
+  }
+  return null;
+}
+
+const CANDIDATE_COUNT = Number(process.env.CANDIDATE_COUNT || 5);
+
+// Closest distinct entries for a fuzzy lookup, best first. Several keys (nickname variants) can point at
+// one entry; alternatives with no similarity at all are dropped.
+function closestEntries(query, keys, keyToEntry, limit) {
+  const out = [];
+  const seen = new Set();
+  for (const m of safeRankedMatches(query, keys, keys.length)) {
+    const entry = keyToEntry.get(m.target);
+    if (!entry || seen.has(entry.id)) continue;
+    if (out.length && m.rating <= 0) break;
+    seen.add(entry.id);
+    out.push({ entry, rating: m.rating, target: m.target });
+    if (out.length >= limit) break;
+  }
+  return out;
+}
+
+// Email → domain → pair match → association fallback → type-only match → vehicle owners. Returns { entry, type, score, name }; entry is null when nothing qualifies.
+// When `trace` is an array, every entry considered is appended as { path, entryId, entityName, entityType, score, threshold, accepted, reason }.
+export function matchRow(rec, indexes, trace = null) {
+  const { orgKeyToEntry, personKeyToEntry, orgKeys, personKeys, personAssocKeyToEntries, orgAssocKeyToEntries, associationsById } = indexes;
+  const { emailToEntry, emailAssocToEntries, domainToEntries } = indexes;
+  const fanout = trace ? CANDIDATE_COUNT : 1;
+  const note = (path, entry, score, threshold, accepted, reason) => {
+    if (!trace || !entry) return;
+    trace.push({
+      path,
+      entryId: entry.id,
+      entityName: entityDisplayName(entry.entity),
+      entityType: classifyEntityType(entry.entity),
+      score: Number(Number(score || 0).toFixed(3)),
+      threshold,
+      accepted,
+      reason
+    });
+  };
+  // Record a candidate and say why it did or didn't become the best match
+  const consider = (path, entry, score, threshold, accept, candidate) => {
+    if (score < threshold) { note(path, entry, score, threshold, false, `Below ${threshold} threshold`); return; }
+    if (!(score > best.score)) { note(path, entry, score, threshold, false, `Not better than current best (${Number(best.score.toFixed(3))})`); return; }
+    if (!accept) { note(path, entry, score, threshold, false, "Lower-ranked than the closest name"); return; }
+    best = candidate;
+    note(path, entry, score, threshold, true, "Accepted");
+  };
+
+  let best = { entry: null, type: "", score: 0, name: "" };
+  const normalizedOrgCandidates = rec.orgCandidates.map(normalizeOrgKey);
+
+  // Emails on the row come first: an exact address, then the address's domain against organization domains.
+  // Either one settles the row, so names (maiden names, initials, trading names) are only tried without them.
+  const emails = rec.emailCandidates || [];
+  for (const email of emails) {
+    const direct = emailToEntry.get(email);
+    if (direct) { consider("email", direct, 1.0, 1.0, true, { entry: direct, type: "email", score: 1.0, name: email }); continue; }
+    const list = emailAssocToEntries.get(email) || [];
+    if (list.length === 1) {
+      consider("email", list[0], 0.98, 0.98, true, { entry: list[0], type: "email", score: 0.98, name: email });
+    } else if (list.length > 1) {
+      // The same contact on several entries: the row's organization decides
+      const fits = list.filter(e => ((associationsById.get(e.id) || {}).assocOrgs || []).map(normalizeOrgKey).some(ok => normalizedOrgCandidates.includes(ok)));
+      for (const e of list) {
+        if (fits.length === 1 && e === fits[0]) consider("email", e, 0.96, 0.96, true, { entry: e, type: "email", score: 0.96, name: email });
+        else note("email", e, 0, 0.96, false, fits.includes(e) ? `Address and organization are shared by ${fits.length} entries` : `Address is on ${list.length} entries and this one's organization doesn't match the row`);
+      }
+    }
+  }
+  if (!best.entry) {
+    for (const email of emails) {
+      const domain = organizationDomain(email);
+      const list = domain ? domainToEntries.get(domain) || [] : [];
+      if (list.length === 1) consider("domain", list[0], 0.95, 0.95, true, { entry: list[0], type: "domain", score: 0.95, name: domain });
+      else for (const e of list) note("domain", e, 0, 0.95, false, `Domain ${domain} belongs to ${list.length} organizations on the list`);
+    }
+  }
+  if (best.entry) return best;
+
+  // Try org+person pair matching when both provided
+  const personVariantSets = rec.personCandidates.map(n => ({ raw: n, variants: personKeyVariants(n) }));
+
+  // Pair path A: Start from org, validate associated people
+  for (let i = 0; i < normalizedOrgCandidates.length; i++) {
+    const orgKey = normalizedOrgCandidates[i];
+    const orgEntry = orgKeyToEntry.get(orgKey);
+    if (orgEntry) {
+      const assoc = associationsById.get(orgEntry.id) || { assocPeople: [], assocOrgs: [] };
+      // exact person variant hit boosts to 1.0
+      for (const pv of personVariantSets) {
+        const assocPeopleNorm = assoc.assocPeople.map(normalizePersonKey);
+        const exact = pv.variants.find(v => assocPeopleNorm.includes(v));
+        if (exact) consider("pair-a", orgEntry, 1.0, 1.0, true, { entry: orgEntry, type: "organization", score: 1.0, name: rec.orgCandidates[i] });
+        if (!exact && assocPeopleNorm.length) {
+          const m = safeBestMatchWithRating(normalizePersonKey(pv.raw), assocPeopleNorm);
+          if (m) consider("pair-a", orgEntry, m.rating, 0.9, true, { entry: orgEntry, type: "organization", score: m.rating, name: rec.orgCandidates[i] });
+        }
+        if (!exact && !assocPeopleNorm.length) note("pair-a", orgEntry, 1.0, 0.9, false, "Org matched but entry has no associated people to validate the contact");
+      }
+    } else {
+      // fuzzy org then validate person
+      const ranked = closestEntries(orgKey, Array.from(orgKeys), orgKeyToEntry, fanout);
+      const mOrg = ranked[0];
+      for (const alt of ranked.slice(1)) note("pair-a", alt.entry, alt.rating, 0.9, false, "Lower-ranked org name; pair A only validates the closest org");
+      if (mOrg && mOrg.rating < 0.9) note("pair-a", mOrg.entry, mOrg.rating, 0.9, false, "Org name below 0.9 threshold");
+      if (mOrg && mOrg.rating >= 0.9) {
+        const e = mOrg.entry;
+        const assoc = associationsById.get(e.id) || { assocPeople: [], assocOrgs: [] };
+        for (const pv of personVariantSets) {
+          const assocPeopleNorm = assoc.assocPeople.map(normalizePersonKey);
+          const exact = pv.variants.find(v => assocPeopleNorm.includes(v));
+          if (exact) consider("pair-a", e, mOrg.rating, 0.9, true, { entry: e, type: "organization", score: mOrg.rating, name: rec.orgCandidates[i] });
+          if (!exact && assocPeopleNorm.length) {
+            const m = safeBestMatchWithRating(normalizePersonKey(pv.raw), assocPeopleNorm);
+            if (m && m.rating < 0.9) note("pair-a", e, m.rating, 0.9, false, "Associated contact below 0.9 threshold");
+            else if (m) consider("pair-a", e, Math.min(m.rating, mOrg.rating), 0.9, true, { entry: e, type: "organization", score: Math.min(m.rating, mOrg.rating), name: rec.orgCandidates[i] });
+          }
+          if (!exact && !assocPeopleNorm.length) note("pair-a", e, mOrg.rating, 0.9, false, "Org matched but entry has no associated people to validate the contact");
+        }
+      }
+    }
+  }
+
+  // Pair path B: Start from person, validate associated org
+  for (const pv of personVariantSets) {
+    let foundDirect = false;
+    for (const v of pv.variants) {
+      const pEntry = personKeyToEntry.get(v);
+      if (pEntry) {
+        foundDirect = true;
+        const assoc = associationsById.get(pEntry.id) || { assocPeople: [], assocOrgs: [] };
+        const assocOrgsNorm = assoc.assocOrgs.map(normalizeOrgKey);
+        for (let i = 0; i < normalizedOrgCandidates.length; i++) {
+          const ok = normalizedOrgCandidates[i];
+          if (assocOrgsNorm.includes(ok)) {
+            consider("pair-b", pEntry, 1.0, 1.0, true, { entry: pEntry, type: "person", score: 1.0, name: pv.raw });
+          } else if (assocOrgsNorm.length) {
+            const m = safeBestMatchWithRating(ok, assocOrgsNorm);
+            if (m) consider("pair-b", pEntry, m.rating, 0.9, true, { entry: pEntry, type: "person", score: m.rating, name: pv.raw });
+          } else {
+            note("pair-b", pEntry, 1.0, 0.9, false, "Person matched but entry has no associated organization to validate the org");
+          }
+        }
+      }
+    }
+    if (!foundDirect) {
+      const base = normalizePersonKey(pv.raw);
+      const ranked = closestEntries(base, Array.from(personKeys), personKeyToEntry, fanout);
+      const mP = ranked[0];
+      for (const alt of ranked.slice(1)) note("pair-b", alt.entry, alt.rating, 0.9, false, "Lower-ranked person name; pair B only validates the closest person");
+      if (mP && mP.rating < 0.9) note("pair-b", mP.entry, mP.rating, 0.9, false, "Person name below 0.9 threshold");
+      if (mP && mP.rating >= 0.9) {
+        const e = mP.entry;
+        const assoc = associationsById.get(e.id) || { assocPeople: [], assocOrgs: [] };
+        const assocOrgsNorm = assoc.assocOrgs.map(normalizeOrgKey);
+        for (let i = 0; i < normalizedOrgCandidates.length; i++) {
+          const ok = normalizedOrgCandidates[i];
+          if (assocOrgsNorm.includes(ok)) {
+            consider("pair-b", e, mP.rating, 0.9, true, { entry: e, type: "person", score: mP.rating, name: pv.raw });
+          } else if (assocOrgsNorm.length) {
+            const m = safeBestMatchWithRating(ok, assocOrgsNorm);
+            const score = Math.min(m?.rating || 0, mP.rating);
+            if (m && m.rating < 0.9) note("pair-b", e, m.rating, 0.9, false, "Associated organization below 0.9 threshold");
+            else if (m) consider("pair-b", e, score, 0.9, true, { entry: e, type: "person", score, name: pv.raw });
+          }
+        }
+      }
+    }
+  }
+
+  // Fallback: use association indices when there is no direct entity match
+  if (!best.entry) {
+    // Person-only via associations → choose entry whose org matches CSV org if present
+    for (const name of rec.personCandidates) {
+      const variants = personKeyVariants(name);
+      for (const v of variants) {
+        const list = personAssocKeyToEntries.get(v) || [];
+        if (list.length === 1) {
+          consider("association", list[0], 0.95, 0.95, true, { entry: list[0], type: classifyEntityType(list[0]?.entity) === 'person' ? 'person' : 'organization', score: 0.95, name });
+        } else if (list.length > 1 && normalizedOrgCandidates.length) {
+          let picked = false;
+          for (const e of list) {
+            const assoc = associationsById.get(e.id) || { assocOrgs: [] };
+            const assocOrgsNorm = (assoc.assocOrgs || []).map(normalizeOrgKey);
+            if (!normalizedOrgCandidates.some(ok => assocOrgsNorm.includes(ok))) {
+              note("association", e, 0, 0.93, false, `Contact is associated with ${list.length} entries and this one's organization doesn't match the row`);
+              continue;
+            }
+            if (picked) {
+              note("association", e, 0.93, 0.93, false, "Another entry sharing this contact and organization was taken first");
+              continue;
+            }
+            consider("association", e, 0.93, 0.93, true, { entry: e, type: classifyEntityType(e?.entity) === 'person' ? 'person' : 'organization', score: 0.93, name });
+            picked = true;
+          }
+        } else if (list.length > 1) {
+          for (const e of list) note("association", e, 0, 0.95, false, `Contact is associated with ${list.length} entries and the row has no organization to disambiguate`);
+        }
+      }
+    }
+    // Org-only via associations
+    for (const name of rec.orgCandidates) {
+      const ok = normalizeOrgKey(name);
+      const list = orgAssocKeyToEntries.get(ok) || [];
+      if (list.length === 1) {
+        consider("association", list[0], 0.92, 0.92, true, { entry: list[0], type: 'organization', score: 0.92, name });
+      } else {
+        for (const e of list) note("association", e, 0, 0.92, false, `Organization is associated with ${list.length} entries`);
+      }
+    }
+  }
+
+  // If still no pair found, fall back to type-only matching
+  if (!best.entry) {
+    // Organizations
+    for (const name of rec.orgCandidates) {
+      const exactKey = normalizeOrgKey(name);
+      const direct = orgKeyToEntry.get(exactKey);
+      if (direct) consider("type-only", direct, 1.0, 1.0, true, { entry: direct, type: "organization", score: 1.0, name });
+      if (!direct) {
+        closestEntries(exactKey, Array.from(orgKeys), orgKeyToEntry, fanout).forEach((m, rank) => {
+          consider("type-only", m.entry, m.rating, 0.88, rank === 0, { entry: m.entry, type: "organization", score: m.rating, name });
+        });
+      }
+    }
+    // People
+    for (const name of rec.personCandidates) {
+      const variants = personKeyVariants(name);
+      let matched = false;
+      for (const v of variants) {
+        const direct = personKeyToEntry.get(v);
+        if (direct && 1.0 > best.score) { consider("type-only", direct, 1.0, 1.0, true, { entry: direct, type: "person", score: 1.0, name }); matched = true; break; }
+      }
+      if (!matched) {
+        const base = normalizePersonKey(name);
+        closestEntries(base, Array.from(personKeys), personKeyToEntry, fanout).forEach((m, rank) => {
+          consider("type-only", m.entry, m.rating, 0.85, rank === 0, { entry: m.entry, type: "person", score: m.rating, name });
+        });
+      }
+    }
+  }
+
+  // A vehicle's own name ("John Smith IRA", "Smith Family Trust") rarely matches: its owners go through the same
+  // paths and are taken when they score higher, reported as matchType "vehicle"
+  const owners = best.score < 1 ? vehicleOwners(rec) : null;
+  if (owners) {
+    const ownerTrace = trace ? [] : null;
+    const viaOwner = matchRow(owners, indexes, ownerTrace);
+    if (trace) trace.push(...ownerTrace.map(t => ({ ...t, path: `vehicle/${t.path}` })));
+    if (viaOwner.entry && viaOwner.score > best.score) best = { ...viaOwner, type: "vehicle" };
+  }
+
+  return best;
+}
+
+// The row with each vehicle name replaced by its beneficial owners: people as contacts, families as their family
+// office. null when no vehicle on the row names an owner.
+function vehicleOwners(rec) {
+  const vehicles = rec.vehicles || [];
+  const persons = vehicles.flatMap(v => v.persons);
+  const families = vehicles.flatMap(v => v.families);
+  if (!persons.length && !families.length) return null;
+  const vehicleNames = new Set(vehicles.map(v => v.name));
+  return {
+    orgCandidates: Array.from(new Set([...rec.orgCandidates.filter(n => !vehicleNames.has(n)), ...families.flatMap(f => [`${f} Family Office`, `${f} Family`])])),
+    personCandidates: Array.from(new Set([...persons, ...rec.personCandidates.filter(n => !vehicleNames.has(n))])),
+    emailCandidates: [],
+    vehicles: []
+  };
+}
+
+// Collapse a match trace to the top-N distinct entries, each with its highest score and the path that produced it
+export function rankCandidates(trace, limit = CANDIDATE_COUNT) {
+  const byEntry = new Map();
+  for (const t of trace || []) {
+    const prev = byEntry.get(t.entryId);
+    if (!prev || t.score > prev.score) {
+      byEntry.set(t.entryId, { entryId: t.entryId, entityName: t.entityName, entityType: t.entityType, score: t.score, path: t.path });
+    }
+  }
+  return Array.from(byEntry.values()).sort((a, b) => b.score - a.score).slice(0, limit);
+}
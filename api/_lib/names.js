@@ -0,0 +1,319 @@
+import stringSimilarity from "string-similarity";
+
+export function normalizeAscii(s) {
+  return String(s || "").normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+export function normalizeName(name) {
+  const raw = normalizeAscii(name);
+  return raw
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+    .replace(/\s+/g, " ");
+}
+
+export function stripLegalSuffixes(orgName) {
+  const n = normalizeName(orgName);
+  // remove common corporate suffixes at end
+  return n
+    .replace(/\b(incorporated|inc|ltd|limited|llc|l\.l\.c\.|llp|l\.l\.p\.|lp|l\.p\.|plc|gmbh|sarl|s\.a\.?|ag|bv|b\.v\.)\b\.?$/g, "")
+    .replace(/\b(co|co\.|company|partners|holdings|capital)\b$/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+export function normalizeOrgKey(orgName) {
+  return stripLegalSuffixes(orgName);
+}
+
+export function normalizePersonKey(name) {
+  const n = normalizeName(name).replace(/\b(jr|sr|ii|iii|iv)\b/g, "").replace(/\s+/g, " ").trim();
+  return n;
+}
+
+export function firstLastFromPersonName(name) {
+  const n = normalizePersonKey(name);
+  const parts = n.split(' ').filter(Boolean);
+  if (parts.length === 0) return { first: "", last: "" };
+  if (parts.length === 1) return { first: parts[0], last: "" };
+  return { first: parts[0], last: parts[parts.length - 1] };
+}
+
+function loadNicknameAliases() {
+  const defaults = {
+    "alexander": ["alex"],
+    "andrew": ["andy"],
+    "anthony": ["tony"],
+    "benjamin": ["ben"],
+    "charles": ["charlie", "chuck"],
+    "christopher": ["chris"],
+    "daniel": ["dan", "danny"],
+    "david": ["dave"],
+    "elizabeth": ["liz", "beth", "lizzy", "eliza"],
+    "jacob": ["jake"],
+    "james": ["jim", "jimmy"],
+    "jonathan": ["jon"],
+    "joshua": ["josh"],
+    "katherine": ["kate", "katie", "kat"],
+    "louis": ["lou"],
+    "matthew": ["matt"],
+    "michael": ["mike"],
+    "nicholas": ["nick"],
+    "patrick": ["pat"],
+    "robert": ["rob", "bob", "bobby"],
+    "steven": ["steve"],
+    "stephen": ["steve"],
+    "thomas": ["tom"],
+    "william": ["will", "bill", "billy"]
+  };
+  try {
+    const raw = process.env.NICKNAME_ALIASES_JSON;
+    if (!raw) return defaults;
+    const custom = JSON.parse(raw);
+    Object.entries(custom).forEach(([k, v]) => {
+      const key = String(k).toLowerCase();
+      const arr = Array.isArray(v) ? v.map(x => String(x).toLowerCase()) : [String(v).toLowerCase()];
+      defaults[key] = Array.from(new Set([...(defaults[key] || []), ...arr]));
+    });
+    return defaults;
+  } catch { return defaults; }
+}
+
+const NICKNAMES = loadNicknameAliases();
+
+export function personKeyVariants(name) {
+  const { first, last } = firstLastFromPersonName(name);
+  const variants = new Set();
+  if (!first && !last) return [];
+  const firsts = new Set([first]);
+  const nick = NICKNAMES[first];
+  if (nick && nick.length) nick.forEach(n => firsts.add(n));
+  // Also if first looks like nickname, add possible canonical forms
+  Object.entries(NICKNAMES).forEach(([canon, arr]) => {
+    if (arr.includes(first)) firsts.add(canon);
+  });
+  for (const f of firsts) {
+    const key = normalizeName(`${f} ${last}`);
+    variants.add(key);
+  }
+  return Array.from(variants);
+}
+
+// Words that make a name an organization's (normalized, see normalizeName)
+const ORG_KEYWORDS = new Set(["inc","llc","ltd","limited","capital","partners","partner","holdings","group","ventures","foundation","family","company","co","plc","bv","gmbh","sarl","ag","llp","lp","org","trust","ira","fbo","roth","estate"]);
+
+// Heuristics to classify entity person vs organization, even when first/last are absent
+export function isLikelyPersonName(name) {
+  const n = normalizeName(name);
+  const parts = n.split(' ').filter(Boolean);
+  if (parts.length < 2 || parts.length > 4) return false;
+  return !parts.some(p => ORG_KEYWORDS.has(p));
+}
+export function classifyEntityType(entity) {
+  const ent = entity || {};
+  const typeRaw = String(ent.type || ent.entity_type || "").toLowerCase();
+  if (/person|people|contact/.test(typeRaw)) return 'person';
+  if (/org|company|organization/.test(typeRaw)) return 'organization';
+  const first = ent.first_name ? String(ent.first_name) : "";
+  const last = ent.last_name ? String(ent.last_name) : "";
+  if (first || last) return 'person';
+  const name = String(ent.name || "");
+  if (isLikelyPersonName(name)) return 'person';
+  return 'organization';
+}
+
+export function safeBestMatch(main, arr, minScore = 0.92) {
+  try {
+    const query = String(main ?? "");
+    const candidates = Array.isArray(arr) ? arr.map(x => String(x ?? "")).filter(s => s.length > 0) : [];
+    if (!query || candidates.length === 0) return null;
+    const { bestMatch } = stringSimilarity.findBestMatch(query, candidates);
+    if (bestMatch && bestMatch.rating >= minScore) return bestMatch.target;
+    return null;
+  } catch {
+    return null;
+  }
+}
+
+export function safeBestMatchWithRating(main, arr) {
+  try {
+    const query = String(main ?? "");
+    const candidates = Array.isArray(arr) ? arr.map(x => String(x ?? "")).filter(s => s.length > 0) : [];
+    if (!query || candidates.length === 0) return null;
+    const { bestMatch } = stringSimilarity.findBestMatch(query, candidates);
+    return bestMatch || null;
+  } catch { return null; }
+}
+
+// All candidates ranked by similarity (best first); ties keep input order like findBestMatch
+export function safeRankedMatches(main, arr, limit = 5) {
+  try {
+    const query = String(main ?? "");
+    const candidates = Array.isArray(arr) ? arr.map(x => String(x ?? "")).filter(s => s.length > 0) : [];
+    if (!query || candidates.length === 0) return [];
+    const { ratings } = stringSimilarity.findBestMatch(query, candidates);
+    return ratings.slice().sort((a, b) => b.rating - a.rating).slice(0, limit);
+  } catch { return []; }
+}
+
+export function entityDisplayName(entity) {
+  const ent = entity || {};
+  if (ent.first_name || ent.last_name) return `${ent.first_name || ''} ${ent.last_name || ''}`.trim();
+  return String(ent.name || '').trim();
+}
+
+// Mailbox providers: an address there says nothing about the investor's organization, so its domain is never matched.
+// PERSONAL_EMAIL_DOMAINS (comma-separated) adds to the list.
+const PERSONAL_EMAIL_DOMAINS = new Set([
+  "gmail.com", "googlemail.com", "yahoo.com", "ymail.com", "hotmail.com", "outlook.com", "live.com", "msn.com",
+  "aol.com", "icloud.com", "me.com", "mac.com", "proton.me", "protonmail.com", "gmx.com", "comcast.net", "verizon.net",
+  ...String(process.env.PERSONAL_EMAIL_DOMAINS || "").split(",").map(d => normalizeDomain(d)).filter(Boolean)
+]);
+
+const EMAIL_PATTERN = /[a-z0-9._%+'-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)+/gi;
+
+// Every email address in a cell ("Jane Doe <jane@acme.com>; bob@acme.com"), lowercased
+export function extractEmails(text) {
+  return Array.from(new Set((String(text || "").match(EMAIL_PATTERN) || []).map(e => e.toLowerCase())));
+}
+
+// "https://www.Acme.com/about" → "acme.com"
+export function normalizeDomain(domain) {
+  return String(domain || "").trim().toLowerCase().replace(/^[a-z]+:\/\//, "").replace(/^www\./, "").replace(/[/?#:].*$/, "").replace(/\.$/, "");
+}
+
+// Domain of an address, or "" for personal mailbox providers
+export function organizationDomain(email) {
+  const domain = normalizeDomain(String(email || "").split("@")[1]);
+  return domain && !PERSONAL_EMAIL_DOMAINS.has(domain) ? domain : "";
+}
+
+// Addresses of a person entity (v1 `emails` / `primary_email`, v2 `emailAddresses` / `primaryEmailAddress`)
+export function entityEmails(entity) {
+  const ent = entity || {};
+  const all = [ent.primary_email, ent.primaryEmailAddress, ...[].concat(ent.emails || []), ...[].concat(ent.emailAddresses || [])];
+  return Array.from(new Set(all.flatMap(extractEmails)));
+}
+
+// Domains of an organization entity (`domain` / `domains`)
+export function entityDomains(entity) {
+  const ent = entity || {};
+  return Array.from(new Set([ent.domain, ...[].concat(ent.domains || [])].map(normalizeDomain).filter(Boolean)));
+}
+
+// Investing vehicles: the JSQ row names the account or entity that invests instead of the investor.
+//   "John Smith Roth IRA", "Equity Trust Co Custodian FBO John Smith IRA", "John Smith IRA (Pershing LLC as custodian)"
+//   "Smith Family Trust", "The John and Mary Smith Revocable Trust dtd 1/1/2001", "JS 2019 Irrevocable Trust FBO Jane Smith"
+//   "Smith Family Office LLC", "John Smith Holdings LLC"
+const RETIREMENT_ACCOUNT = /\b(?:(?:roth|sep|simple|rollover|traditional|inherited|beneficiary|self[- ]directed)[\s-]+)*(?:ira|401\s*\(?k\)?|403\s*\(?b\)?|keogh|individual retirement account)(?=\W|$)/gi;
+const TRUST = /\b(?:(?:revocable|irrevocable|living|family|dynasty|grantor|gst|exempt|generation[- ]skipping|charitable|remainder|marital|descendants'?)\s+)*trust\b(?!\s+(?:company|co\b|bank))/gi; // not "Northern Trust Company"
+const FIRST_TRUST = new RegExp(TRUST.source, "i");
+const FBO = /\s*,?\s*\b(?:fbo|f\/b\/o|for the benefit of)\b[\s:]*/i;
+const CUSTODIAN = /^(.*?)\s*,?\s*\b(?:as\s+)?(?:custodian|cust\.?)\s*$/i;
+const HOLDING = /\s+(?:holdings?|investments?)\s*$/i;
+// A word of a personal name or surname: "Smith", "McDonald", "O'Brien", "Smith-Jones" (not "KKR" or "Capital")
+const NAME_WORD = /^[A-Z][a-z]*(?:[A-Z][a-z]+)*(?:['-][A-Z]?[a-z]+)*$/;
+const INITIAL = /^[A-Z]\.?$/;
+// Words that rule a name out as someone's vehicle; wider than ORG_KEYWORDS, which also decides who is a person
+const VEHICLE_ORG_KEYWORDS = new Set([...ORG_KEYWORDS, "investments", "management", "global", "fund", "funds", "asset", "assets", "advisors", "securities", "financial", "equity", "bank", "street"]);
+const VEHICLE_NOISE = /\b(?:the|of|for|and|trustees?|ttees?|co-trustees?|jtwros|jt ten|ten com|mr|mrs|ms|dr|llc|l\.l\.c\.|lp|l\.p\.|ltd|inc)\b\.?/gi;
+
+// A trust names its people: "Smith Family Trust", "Revocable Trust of John Smith"; "Trust Ventures" is a firm
+function isNamedTrust(text) {
+  const m = text.match(FIRST_TRUST);
+  if (!m) return false;
+  const before = text.slice(0, m.index).replace(/\bthe\b/gi, "").trim();
+  const after = text.slice(m.index + m[0].length).trim();
+  if (VEHICLE_ORG_KEYWORDS.has(after.split(/\s+/)[0].toLowerCase())) return false;
+  return Boolean(before) || /^,?\s*(?:of|for)\s+\S/i.test(after);
+}
+
+// Owners named in what's left of a vehicle name: "John and Mary Smith" → John Smith, Mary Smith; "Smith" → a family
+function vehicleOwners(text) {
+  const cleaned = String(text || "")
+    .replace(/\b(?:dated|dtd|u\/a|uad|u\/a\/d|u\/t\/a)\b.*$/i, "")
+    .replace(/\b\d+(?:\/\d+)*\b/g, " ")
+    .replace(/\s+(?:&|and|\+)\s+/gi, " & ");
+  const parts = cleaned.split(/\s*[&\/]\s*|,\s*/)
+    .map(p => p.replace(VEHICLE_NOISE, " ").replace(/[^A-Za-z'\- ]+/g, " ").replace(/\s+/g, " ").trim())
+    .filter(p => p && !/^(?:[A-Z]{1,3}|(?:[A-Z]\.?\s*){1,3})$/.test(p)) // initials say nothing
+    .filter(p => !p.split(" ").some(w => VEHICLE_ORG_KEYWORDS.has(w.toLowerCase()))); // nor do organizations ("Acme Capital FBO …")
+  const persons = [];
+  const families = [];
+  const last = parts.length ? parts[parts.length - 1].split(" ") : [];
+  for (const p of parts) {
+    const words = p.split(" ");
+    if (words.length === 1 && parts.length > 1 && last.length > 1) persons.push(`${p} ${last[last.length - 1]}`); // "John & Mary Smith"
+    else if (words.length === 1) families.push(p);
+    else if (words.length <= 4) persons.push(p);
+  }
+  return { persons, families };
+}
+
+// → { kind: "retirement" | "trust" | "fbo" | "family" | "holding", persons, families, custodian } or null when the
+// name isn't a vehicle. `persons` and `families` are the beneficial owners, e.g. ["Jane Smith"] and ["Smith"].
+export function parseVehicleName(name) {
+  let rest = normalizeAscii(name).replace(/\s+/g, " ").trim();
+  if (!rest) return null;
+  const kinds = new Set();
+  let custodian = "";
+  const owners = [];
+
+  // "(Pershing LLC as custodian)" and "…, Pershing LLC Custodian"
+  rest = rest.replace(/\(\s*([^)]*?)\s*,?\s*\b(?:as\s+)?(?:custodian|cust\.?)\s*\)/i, (_, c) => { custodian = c; return " "; }).trim();
+  const fbo = rest.split(FBO);
+  if (fbo.length > 1) {
+    kinds.add("fbo");
+    const before = fbo[0].trim();
+    const custodianOnly = before.match(CUSTODIAN);
+    if (custodianOnly) custodian = custodianOnly[1];
+    else if (before) owners.push(before);
+    rest = fbo.slice(1).join(" ");
+  }
+  const trailing = rest.match(/^(.*?),\s*([^,]+?)\s+(?:as\s+)?(?:custodian|cust\.?)\s*$/i);
+  if (trailing) { custodian = trailing[2]; rest = trailing[1]; }
+  owners.push(rest);
+
+  const persons = [];
+  const families = [];
+  for (let text of owners) {
+    if (text.search(RETIREMENT_ACCOUNT) !== -1) kinds.add("retirement");
+    text = text.replace(RETIREMENT_ACCOUNT, " ");
+    // "John Smith, Trustee of the Smith Family Trust"
+    const trustee = text.match(/^(.*?),?\s+(?:as\s+)?(?:co-)?(?:trustees?|ttees?)\s+(?:of|for)\s+(.*)$/i);
+    const pieces = trustee ? [trustee[1], trustee[2]] : [text];
+    for (let piece of pieces) {
+      if (isNamedTrust(piece)) {
+        kinds.add("trust");
+        piece = piece.replace(TRUST, " ");
+      }
+      // A family vehicle names its family: "Smith Family Office", not "Family Office Exchange"
+      const family = piece.match(/^(?:the\s+)?(.*?)\s*\bfamily\b/i);
+      const familyOwners = family && vehicleOwners(family[1]);
+      if (familyOwners?.persons.length || familyOwners?.families.length) {
+        kinds.add("family");
+        persons.push(...familyOwners.persons);
+        families.push(...familyOwners.families, ...familyOwners.persons.map(p => p.split(" ").pop()));
+        continue;
+      }
+      const bare = piece.replace(VEHICLE_NOISE, " ").replace(/\s+/g, " ").replace(/[,.\s]+$/, "").trim();
+      if (HOLDING.test(bare)) {
+        // Only a person's name makes it someone's vehicle: "John Smith Holdings", "J. Smith Investments". A lone word
+        // can't be told from a brand ("Blackstone Holdings"); family and trust names are handled above
+        const owner = bare.replace(HOLDING, "").trim().split(" ");
+        const personShaped = owner.length >= 2 && owner.length <= 3 && NAME_WORD.test(owner[owner.length - 1])
+          && owner.every(w => (NAME_WORD.test(w) || INITIAL.test(w)) && !VEHICLE_ORG_KEYWORDS.has(w.replace(/\.$/, "").toLowerCase()));
+        if (!personShaped) continue;
+        kinds.add("holding");
+        piece = owner.join(" ");
+      }
+      const named = vehicleOwners(piece);
+      persons.push(...named.persons);
+      families.push(...named.families);
+    }
+  }
+  if (!kinds.size) return null;
+  const kind = ["retirement", "trust", "fbo", "family", "holding"].find(k => kinds.has(k));
+  return { kind, persons: Array.from(new Set(persons)), families: Array.from(new Set(families)), custodian: custodian.trim() };
+}
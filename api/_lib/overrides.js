@@ -0,0 +1,60 @@
+import { randomUUID } from "crypto";
+import { getJson, setJson } from "./store.js";
+import { normalizeOrgKey, normalizePersonKey } from "./names.js";
+
+// Manual match overrides: CSV org and/or contact → a list entry id, or "never match", on one list (`listId`) or,
+// without one, on every list. Stored as one document; the table stays small (tens to low hundreds of rows).
+const OVERRIDES_KEY = "overrides";
+
+function keysFor(org, contact) {
+  return { orgKey: org ? normalizeOrgKey(org) : "", contactKey: contact ? normalizePersonKey(contact) : "" };
+}
+
+export async function listOverrides() {
+  return (await getJson(OVERRIDES_KEY)) || [];
+}
+
+// Adding an override for the same org/contact pair and list replaces the earlier one
+export async function addOverride({ org, contact, entryId, neverMatch, note, listId }, createdBy) {
+  const { orgKey, contactKey } = keysFor(org, contact);
+  if (!orgKey && !contactKey) throw new Error("Override needs an org or a contact");
+  if (!neverMatch && (entryId == null || entryId === "")) throw new Error("Override needs an entryId or neverMatch");
+  const override = {
+    id: `ovr_${randomUUID()}`,
+    org: org ? String(org).trim() : "",
+    contact: contact ? String(contact).trim() : "",
+    orgKey,
+    contactKey,
+    entryId: neverMatch ? null : Number(entryId),
+    listId: listId == null || listId === "" ? null : Number(listId),
+    neverMatch: Boolean(neverMatch),
+    note: note ? String(note) : undefined,
+    createdAt: new Date().toISOString(),
+    createdBy
+  };
+  const existing = await listOverrides();
+  const next = existing.filter(o => !(o.orgKey === orgKey && o.contactKey === contactKey && (o.listId ?? null) === override.listId));
+  next.push(override);
+  await setJson(OVERRIDES_KEY, next);
+  return override;
+}
+
+export async function deleteOverride(id) {
+  const existing = await listOverrides();
+  const next = existing.filter(o => o.id !== id);
+  if (next.length === existing.length) return false;
+  await setJson(OVERRIDES_KEY, next);
+  return true;
+}
+
+// Overrides for `listId` and those for every list; the most specific wins: org + contact, then org only, then contact
+// only, and one for this list before one for every list
+export function findOverride(overrides, orgCandidates, personCandidates, listId) {
+  if (!overrides || !overrides.length) return null;
+  const orgKeys = new Set((orgCandidates || []).map(normalizeOrgKey).filter(Boolean));
+  const contactKeys = new Set((personCandidates || []).map(normalizePersonKey).filter(Boolean));
+  const onList = (o) => o.listId == null || String(o.listId) === String(listId);
+  const applies = (o) => onList(o) && (!o.orgKey || orgKeys.has(o.orgKey)) && (!o.contactKey || contactKeys.has(o.contactKey));
+  const rank = (o) => (o.orgKey ? 4 : 0) + (o.contactKey ? 2 : 0) + (o.listId != null ? 1 : 0);
+  return overrides.filter(applies).sort((a, b) => rank(b) - rank(a))[0] || null;
+}
@@ -0,0 +1,19 @@
+import { randomUUID } from "crypto";
+import { getJson, setJson } from "./store.js";
+
+const PLAN_TTL_SECONDS = Number(process.env.PLAN_TTL_SECONDS || 7 * 24 * 3600);
+
+export function newPlanId() {
+  return `plan_${randomUUID()}`;
+}
+
+// Plans expire so stale previews can't be applied weeks later
+export async function savePlan(plan) {
+  await setJson(`plan:${plan.planId}`, plan, { ttlSeconds: PLAN_TTL_SECONDS });
+  return plan;
+}
+
+export async function getPlan(planId) {
+  if (!planId) return null;
+  return await getJson(`plan:${planId}`);
+}
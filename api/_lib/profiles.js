@@ -0,0 +1,138 @@
+import { getJson, setJson } from "./store.js";
+import { ORG_COLUMNS, PERSON_COLUMNS, EMAIL_COLUMNS } from "./sync.js";
+import { configuredLists } from "./lists.js";
+
+// Column-mapping profiles: one per JSQ report layout. A profile renames that layout's headers to the column names
+// the sync reads, and the preflight checks an upload's headers against it before any Affinity call.
+// { name, columns: { "<column the sync reads>": "<header in this layout>" | ["<header>", ...] }, required?: [...], ignore?: [...] }
+const PROFILES_KEY = "column-profiles";
+export const DEFAULT_PROFILE = { name: "default", columns: {}, required: [], ignore: [] };
+
+const lower = (v) => String(v ?? "").trim().toLowerCase();
+
+export async function listProfiles() {
+  const saved = (await getJson(PROFILES_KEY)) || [];
+  return saved.some(p => lower(p.name) === "default") ? saved : [DEFAULT_PROFILE, ...saved];
+}
+
+// Without a name: the saved "default" profile, else the built-in one (no renames)
+export async function getProfile(name) {
+  const wanted = lower(name || "default");
+  return (await listProfiles()).find(p => lower(p.name) === wanted) || null;
+}
+
+// Throws with a message naming the problem
+export function validateProfile(profile) {
+  if (!profile || typeof profile !== "object") throw new Error("profile must be an object");
+  if (!String(profile.name || "").trim()) throw new Error("profile needs a name");
+  if (profile.columns != null && (typeof profile.columns !== "object" || Array.isArray(profile.columns))) {
+    throw new Error("columns must map a column name to a header (or list of headers)");
+  }
+  for (const [column, headers] of Object.entries(profile.columns || {})) {
+    if (![].concat(headers).every(h => typeof h === "string" && h.trim())) throw new Error(`columns['${column}'] must be a header name or a list of them`);
+  }
+  for (const key of ["required", "ignore"]) {
+    if (profile[key] != null && !(Array.isArray(profile[key]) && profile[key].every(v => typeof v === "string"))) throw new Error(`${key} must be a list of column names`);
+  }
+}
+
+// Saving a profile with an existing name (case-insensitive) replaces it
+export async function saveProfile({ name, columns, required, ignore, description }, updatedBy) {
+  const profile = { name: String(name || "").trim(), description: description ? String(description) : undefined, columns: columns || {}, required: required || [], ignore: ignore || [] };
+  validateProfile(profile);
+  const saved = (await getJson(PROFILES_KEY)) || [];
+  const next = saved.filter(p => lower(p.name) !== lower(profile.name));
+  const doc = { ...profile, updatedAt: new Date().toISOString(), updatedBy };
+  next.push(doc);
+  await setJson(PROFILES_KEY, next);
+  return doc;
+}
+
+export async function deleteProfile(name) {
+  const saved = (await getJson(PROFILES_KEY)) || [];
+  const next = saved.filter(p => lower(p.name) !== lower(name));
+  if (next.length === saved.length) return false;
+  await setJson(PROFILES_KEY, next);
+  return true;
+}
+
+// Header (lowercased) → the column name it stands for under the profile
+function renamesFor(profile) {
+  const map = new Map();
+  for (const [column, headers] of Object.entries(profile?.columns || {})) {
+    for (const h of [].concat(headers)) map.set(lower(h), column);
+  }
+  return map;
+}
+
+// Every header a profile maps, so header-row detection also recognises the layout's own names
+export function profileHeaders(profile) {
+  return Object.values(profile?.columns || {}).flatMap(h => [].concat(h));
+}
+
+// Columns the sync reads and what reads them: name matching, the status rules, list routing and field mappings.
+// → [{ columns, pattern?, usedBy, kind: "names" | "status" | "routing" | "field" }]
+export function expectedColumns({ rules, routing }) {
+  const groups = [{ columns: [...ORG_COLUMNS, ...PERSON_COLUMNS, ...EMAIL_COLUMNS], usedBy: ["name matching"], kind: "names" }];
+  const add = (columns, pattern, usedBy, kind) => {
+    const key = JSON.stringify([columns.map(lower), pattern || null]);
+    const existing = groups.find(g => g.key === key);
+    if (existing) { if (!existing.usedBy.includes(usedBy)) existing.usedBy.push(usedBy); return; }
+    groups.push({ key, columns, pattern, usedBy: [usedBy], kind });
+  };
+  for (const rule of rules || []) {
+    for (const c of [...(rule.when || []), ...(rule.any || [])]) add([].concat(c.column || []), c.columnPattern, `status rule '${rule.name}'`, "status");
+  }
+  if (routing?.column) add([routing.column], null, "list routing", "routing");
+  for (const list of configuredLists(routing)) {
+    for (const m of list.fieldMappings || []) add([m.column], null, `field '${m.field}'`, "field");
+  }
+  return groups.map(({ key, ...g }) => g);
+}
+
+// Check headers against a profile before syncing. Blocking `errors`: no name column, no column any status rule
+// reads, or a column the profile lists as required. `missing` lists every unmet expectation; `unknown` lists
+// headers nothing reads (except the profile's `ignore`).
+export function preflightHeaders(headers, profile, { rules, routing }) {
+  const renames = renamesFor(profile);
+  const renamed = {};
+  const columns = headers.filter(h => String(h).trim()).map(h => {
+    const column = renames.get(lower(h));
+    if (column && lower(column) !== lower(h)) renamed[h] = column;
+    return { header: h, column: column || h };
+  });
+  const present = new Set(columns.map(c => lower(c.column)));
+  const satisfies = (group, column) => group.columns.some(name => lower(name) === lower(column)) || (group.pattern && new RegExp(group.pattern, "i").test(column));
+  const groups = expectedColumns({ rules, routing });
+
+  const missing = groups
+    .filter(g => !g.columns.some(name => present.has(lower(name))) && !(g.pattern && columns.some(c => new RegExp(g.pattern, "i").test(c.column))))
+    .map(g => ({ columns: g.columns, pattern: g.pattern, usedBy: g.usedBy }));
+  const ignored = new Set((profile?.ignore || []).map(lower));
+  const unknown = columns
+    .filter(c => !ignored.has(lower(c.header)) && !ignored.has(lower(c.column)) && !groups.some(g => satisfies(g, c.column)))
+    .map(c => c.header);
+
+  const errors = [];
+  const unmet = (kind) => groups.filter(g => g.kind === kind).every(g => missing.some(m => m.usedBy === g.usedBy));
+  if (unmet("names")) errors.push(`No name or email column (${[...ORG_COLUMNS, ...PERSON_COLUMNS, ...EMAIL_COLUMNS].join(", ")})`);
+  if (groups.some(g => g.kind === "status") && unmet("status")) errors.push("None of the columns the status rules read are present");
+  for (const column of profile?.required || []) {
+    if (!present.has(lower(column))) errors.push(`Required column '${column}' is missing`);
+  }
+  return { ok: !errors.length, profile: profile?.name, headers, renamed, errors, missing, unknown };
+}
+
+// Records with the profile's headers renamed to the columns the sync reads; an existing non-empty value is kept
+export function applyProfile(records, profile) {
+  const renames = renamesFor(profile);
+  if (!renames.size) return records;
+  return records.map(record => {
+    const out = {};
+    for (const [header, value] of Object.entries(record)) {
+      const column = renames.get(lower(header)) || header;
+      if (out[column] == null || String(out[column]).trim() === "") out[column] = value;
+    }
+    return out;
+  });
+}
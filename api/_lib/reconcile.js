@@ -0,0 +1,96 @@
+import { REDACT_RESPONSE } from "./http.js";
+import { entityDisplayName } from "./names.js";
+
+// Reconciliation (?reconcile=1): where Affinity and the Juniper Square export disagree, in both directions, from the
+// same matching and list entries as a sync — nothing is written. Categories:
+//   direction "affinity" (Affinity shows more than JSQ)
+//     signed_in_affinity_only — Affinity at or past the signed stage, JSQ has no signed subscription
+//     affinity_ahead          — Affinity past the stage JSQ supports (a sync would block it as a downgrade)
+//     passed_in_affinity      — Affinity has a lock stage (Passed) while JSQ shows the investor at or past the minimum stage
+//     missing_from_export     — Affinity entry at or past the minimum stage that no row of the export matched
+//   direction "jsq" (JSQ shows more than Affinity)
+//     jsq_ahead               — JSQ stage past Affinity's (a sync would update it)
+//     not_in_affinity         — JSQ row at or past the minimum stage with no entry on the list
+//     passed_in_jsq           — JSQ shows a terminal outcome (declined, withdrawn, …) while Affinity still has the investor live
+//     unknown_status          — JSQ stage the list has no option for, or that can't be placed in the pipeline order
+export const RECONCILE_SIGNED_STATUS_LABEL = process.env.RECONCILE_SIGNED_STATUS_LABEL || "Sub Docs Signed";
+export const DISCREPANCY_CATEGORIES = [
+  "signed_in_affinity_only", "affinity_ahead", "passed_in_affinity", "missing_from_export",
+  "jsq_ahead", "not_in_affinity", "passed_in_jsq", "unknown_status"
+];
+const DIRECTION = {
+  signed_in_affinity_only: "affinity", affinity_ahead: "affinity", passed_in_affinity: "affinity", missing_from_export: "affinity",
+  jsq_ahead: "jsq", not_in_affinity: "jsq", passed_in_jsq: "jsq", unknown_status: "jsq"
+};
+
+function discrepancy(category, fields, detail) {
+  return { category, direction: DIRECTION[category], ...fields, detail };
+}
+
+// ctx: { minIdx, signedIdx, isLocked(label), rankOfEntry(entryId), rankOfLabel(label) } from the list's pipeline
+export function rowDiscrepancies(results, ctx) {
+  const atLeast = (rank, idx) => rank != null && (idx === -1 || rank >= idx);
+  const out = [];
+  for (const r of results) {
+    // An entry several rows matched is judged by the row that decides it
+    if (r.outcome === "merged") continue;
+    const jsqStatus = r.statusLabel || "";
+    const derivedRank = jsqStatus ? ctx.rankOfLabel(jsqStatus) : undefined;
+    const fields = { row: r.row, name: r.name, entryId: r.entryId, entryName: r.entryName, affinityStatus: r.currentStatus, jsqStatus };
+    if (!r.matched) {
+      if (atLeast(derivedRank, ctx.minIdx)) out.push(discrepancy("not_in_affinity", fields, r.reason));
+      continue;
+    }
+    const current = r.currentStatus || "";
+    if (jsqStatus && ctx.isLocked(jsqStatus)) {
+      if (!ctx.isLocked(current)) out.push(discrepancy("passed_in_jsq", fields, `JSQ shows a terminal outcome ('${jsqStatus}'), Affinity has '${current || "(empty)"}'`));
+      continue;
+    }
+    if (jsqStatus && derivedRank == null) {
+      out.push(discrepancy("unknown_status", fields, `'${jsqStatus}' is not in the pipeline order of this list`));
+      continue;
+    }
+    if (current && ctx.isLocked(current)) {
+      if (atLeast(derivedRank, ctx.minIdx)) out.push(discrepancy("passed_in_affinity", fields, `Affinity has '${current}', JSQ shows '${jsqStatus}'`));
+      continue;
+    }
+    const currentRank = current ? ctx.rankOfEntry(r.entryId) : undefined;
+    if (currentRank != null && (derivedRank == null || currentRank > derivedRank) && atLeast(currentRank, ctx.minIdx)) {
+      const signed = ctx.signedIdx !== -1 && currentRank >= ctx.signedIdx && !(derivedRank != null && derivedRank >= ctx.signedIdx);
+      out.push(discrepancy(signed ? "signed_in_affinity_only" : "affinity_ahead", fields, jsqStatus ? `Affinity has '${current}', JSQ supports '${jsqStatus}'` : `Affinity has '${current}', JSQ shows no stage`));
+      continue;
+    }
+    if (derivedRank != null && (currentRank == null || derivedRank > currentRank) && atLeast(derivedRank, ctx.minIdx)) {
+      out.push(discrepancy("jsq_ahead", fields, `JSQ shows '${jsqStatus}', Affinity has '${current || "(empty)"}'`));
+    }
+  }
+  return out;
+}
+
+// Entries of the list at or past the minimum stage (lock stages excluded): what the export is expected to cover
+export function pipelineEntries(entries, currentStatusById, ctx) {
+  return entries
+    .map(e => ({ entryId: e.id, entryName: entityDisplayName(e.entity), status: String(currentStatusById.get(e.id) || "") }))
+    .filter(e => e.status && !ctx.isLocked(e.status))
+    .map(e => ({ ...e, rank: ctx.rankOfEntry(e.entryId) }))
+    .filter(e => e.rank != null && (ctx.minIdx === -1 || e.rank >= ctx.minIdx));
+}
+
+// Merged list outputs (after every batch) → { counts, discrepancies }, adding the entries no row matched
+export function finishReconcile(lists) {
+  const discrepancies = [];
+  for (const l of lists) {
+    if (!l.reconcile) continue;
+    const matched = new Set(l.results.filter(r => r.matched && r.entryId != null).map(r => String(r.entryId)));
+    discrepancies.push(...l.reconcile.discrepancies.map(d => ({ ...d, list: l.key })));
+    for (const e of l.reconcile.tracked) {
+      if (matched.has(String(e.entryId))) continue;
+      discrepancies.push({ ...discrepancy("missing_from_export", { entryId: e.entryId, entryName: e.entryName, affinityStatus: e.status }, `In the Affinity pipeline at '${e.status}' but not in the export`), list: l.key });
+    }
+  }
+  const counts = Object.fromEntries(DISCREPANCY_CATEGORIES.map(c => [c, discrepancies.filter(d => d.category === c).length]));
+  const shown = REDACT_RESPONSE
+    ? discrepancies.map(({ category, direction, row, list, affinityStatus, jsqStatus }) => ({ category, direction, row, list, affinityStatus, jsqStatus }))
+    : discrepancies;
+  return { signedStatus: RECONCILE_SIGNED_STATUS_LABEL, counts, discrepancies: shown };
+}
@@ -0,0 +1,121 @@
+import { randomUUID } from "crypto";
+import { getJson, setJson } from "./store.js";
+import { REDACT_RESPONSE } from "./http.js";
+import { writeXlsx } from "./xlsx.js";
+
+// Results report: one line per uploaded row with its original fields, what it matched and what was done, so the
+// outcome of a run can be passed on as CSV or XLSX. With REDACT_RESPONSE the row fields, entry names and ids, field
+// values and Affinity error bodies are left out.
+const REPORT_TTL_SECONDS = Number(process.env.REPORT_TTL_SECONDS || 7 * 24 * 3600);
+export const REPORT_FORMATS = ["csv", "xlsx"];
+const OUTCOME_COLUMNS = ["List", "Matched entry", "Entry id", "Match type", "Score", "Previous status", "Derived status", "Action", "Reason", "Field changes", "Data room last access", "Data room contacts"];
+const IDENTITY_COLUMNS = new Set(["Matched entry", "Entry id", "Data room contacts"]);
+
+export function newReportId() {
+  return `report_${randomUUID()}`;
+}
+
+const TRANSITION_ACTIONS = { closed: "Closed", would_close: "Would close", downgraded: "Downgraded (forced)", would_downgrade: "Would downgrade (forced)" };
+
+function actionOf(result) {
+  if (!result) return "Not processed";
+  if (result.error) return "Failed";
+  if (result.outcome === "merged") return `Merged into row ${result.mergedInto}`;
+  if (result.created) return "Created";
+  if (result.wouldCreate) return "Would create";
+  if (result.outcome in TRANSITION_ACTIONS) return TRANSITION_ACTIONS[result.outcome];
+  if (result.updated) return "Updated";
+  if (result.wouldUpdate) return "Would update";
+  if (result.fields?.some(f => f.error)) return "Failed";
+  if (result.fields?.some(f => f.updated)) return "Updated fields";
+  if (result.fields?.some(f => f.wouldUpdate)) return "Would update fields";
+  return result.matched ? "No change" : "Not matched";
+}
+
+function errorText(error) {
+  return typeof error === "string" ? error : JSON.stringify(error);
+}
+
+function fieldChanges(fields) {
+  return (fields || [])
+    .filter(f => f.updated || f.wouldUpdate || f.error)
+    .map(f => (REDACT_RESPONSE
+      ? `${f.field}${f.error ? " (failed)" : ""}`
+      : `${f.field}: ${f.previous || "(empty)"} → ${f.value}${f.error ? ` (failed: ${errorText(f.error)})` : ""}`))
+    .join("; ");
+}
+
+// Rows (from rowsFromRecords) joined to their results by row number, in upload order →
+// { dryRun, columns, rowColumns (the original row's columns among them), lines }
+export function buildReport(rows, state) {
+  const byRow = new Map(state.lists.flatMap(l => l.results.map(r => [r.row, { ...r, list: l.key }])));
+  const fieldColumns = [];
+  if (!REDACT_RESPONSE) {
+    for (const row of rows) for (const column of Object.keys(row.raw)) if (!fieldColumns.includes(column)) fieldColumns.push(column);
+  }
+  const outcomeColumns = OUTCOME_COLUMNS.filter(c => !(REDACT_RESPONSE && IDENTITY_COLUMNS.has(c)));
+  const lines = rows.map(row => {
+    const r = byRow.get(row.rowNumber);
+    const outcome = {
+      "List": r?.list ?? "",
+      "Matched entry": r?.entryName ?? "",
+      "Entry id": r?.entryId ?? "",
+      "Match type": r?.matchType ?? "",
+      "Score": r?.score ?? "",
+      "Previous status": r?.currentStatus ?? "",
+      "Derived status": r?.statusLabel ?? "",
+      "Action": actionOf(r),
+      "Reason": r?.error && !REDACT_RESPONSE ? `${r.reason ? `${r.reason}; ` : ""}${errorText(r.error)}` : (r?.reason ?? (r ? "" : "Stopped before this row (see the run's error)")),
+      "Field changes": fieldChanges(r?.fields),
+      "Data room last access": r?.dataRoom?.lastAccessed ?? "",
+      "Data room contacts": (r?.dataRoom?.contacts || []).map(c => `${c.name || "(unnamed)"}: ${c.date}`).join("; ")
+    };
+    return [row.rowNumber, ...fieldColumns.map(c => row.raw[c] ?? ""), ...outcomeColumns.map(c => outcome[c])];
+  });
+  return { dryRun: !!state.isDryRun, columns: ["Row", ...fieldColumns, ...outcomeColumns], rowColumns: fieldColumns, lines };
+}
+
+// Reports expire like plans; the run or plan they describe is kept separately
+export async function saveReport(report) {
+  const doc = { reportId: newReportId(), ...report };
+  await setJson(`report:${doc.reportId}`, doc, { ttlSeconds: REPORT_TTL_SECONDS });
+  return doc;
+}
+
+export async function getReport(reportId) {
+  if (!reportId) return null;
+  return await getJson(`report:${reportId}`);
+}
+
+// Text Excel would read as a formula ("=HYPERLINK(…)", "+1", "@SUM") is prefixed with ' so it stays text
+function csvCell(value) {
+  let s = String(value ?? "");
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// → { body, contentType, filename }. The CSV starts with a BOM so Excel reads it as UTF-8.
+export function renderReport(report, format) {
+  const stamp = String(report.createdAt || new Date().toISOString()).slice(0, 10);
+  const base = `${report.dryRun ? "preview" : "sync"}-report-${stamp}`;
+  const table = [report.columns, ...report.lines];
+  if (format === "xlsx") {
+    return {
+      body: writeXlsx(report.dryRun ? "Preview" : "Sync", table),
+      contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      filename: `${base}.xlsx`
+    };
+  }
+  return {
+    body: Buffer.from(`\uFEFF${table.map(line => line.map(csvCell).join(",")).join("\r\n")}\r\n`, "utf8"),
+    contentType: "text/csv; charset=utf-8",
+    filename: `${base}.csv`
+  };
+}
+
+export function sendReport(res, report, format) {
+  const { body, contentType, filename } = renderReport(report, format);
+  res.setHeader("Content-Type", contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  return res.status(200).send(body);
+}
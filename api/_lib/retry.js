@@ -0,0 +1,79 @@
+// Rate-limit handling and retries for the Affinity axios instances.
+// - 429: always retried (Affinity did not process the request), waiting for Retry-After or the rate-limit reset
+// - 5xx / network errors: retried only for reads and requests marked `idempotent: true` (e.g. setting a field value)
+// - When a response says no requests remain in the window, later requests wait for the reset instead of hitting 429
+const MAX_RETRIES = Number(process.env.AFFINITY_MAX_RETRIES || 4);
+const RETRY_BASE_MS = Number(process.env.AFFINITY_RETRY_BASE_MS || 500);
+// Longest single wait; a Retry-After beyond this fails the request rather than outliving the serverless function
+const MAX_WAIT_MS = Number(process.env.AFFINITY_MAX_RETRY_WAIT_MS || 30_000);
+
+const RETRYABLE_STATUS = new Set([500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set(["ECONNRESET", "ETIMEDOUT", "ECONNABORTED", "EAI_AGAIN", "ECONNREFUSED", "EPIPE"]);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function header(headers, name) {
+  if (!headers) return undefined;
+  const value = typeof headers.get === "function" ? headers.get(name) : headers[name] ?? headers[name.toLowerCase()];
+  return value == null ? undefined : String(value);
+}
+
+// Retry-After is seconds or an HTTP date
+function retryAfterMs(headers) {
+  const raw = header(headers, "retry-after");
+  if (!raw) return null;
+  const secs = Number(raw);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(raw);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+// Affinity sends per-user and per-org windows: X-Ratelimit-Limit-{User,Org}-{Remaining,Reset} (reset in seconds)
+function rateLimitResetMs(headers) {
+  let wait = null;
+  for (const scope of ["user", "org"]) {
+    const remaining = header(headers, `x-ratelimit-limit-${scope}-remaining`);
+    const reset = Number(header(headers, `x-ratelimit-limit-${scope}-reset`));
+    if (remaining != null && Number(remaining) <= 0 && Number.isFinite(reset)) wait = Math.max(wait ?? 0, reset * 1000);
+  }
+  return wait;
+}
+
+function isIdempotent(config) {
+  const method = String(config?.method || "get").toLowerCase();
+  return method === "get" || method === "head" || config?.idempotent === true;
+}
+
+export function attachRetry(instance) {
+  let pausedUntil = 0;
+
+  instance.interceptors.request.use(async (config) => {
+    const wait = pausedUntil - Date.now();
+    if (wait > 0) await sleep(Math.min(wait, MAX_WAIT_MS));
+    return config;
+  });
+
+  instance.interceptors.response.use(
+    (response) => {
+      const reset = rateLimitResetMs(response?.headers);
+      if (reset != null) pausedUntil = Math.max(pausedUntil, Date.now() + reset);
+      return response;
+    },
+    async (error) => {
+      const config = error?.config;
+      if (!config) throw error;
+      const status = error?.response?.status;
+      const retryable = status === 429 || (isIdempotent(config) && (RETRYABLE_STATUS.has(status) || (!error.response && RETRYABLE_CODES.has(error.code))));
+      const attempt = config.__retryCount || 0;
+      if (!retryable || attempt >= MAX_RETRIES) throw error;
+
+      const backoff = RETRY_BASE_MS * 2 ** attempt + Math.floor(Math.random() * RETRY_BASE_MS);
+      const wait = status === 429 ? (retryAfterMs(error.response?.headers) ?? rateLimitResetMs(error.response?.headers) ?? backoff) : backoff;
+      if (wait > MAX_WAIT_MS) throw error;
+      if (status === 429) pausedUntil = Math.max(pausedUntil, Date.now() + wait);
+      await sleep(wait);
+      return instance.request({ ...config, __retryCount: attempt + 1 });
+    }
+  );
+  return instance;
+}
@@ -0,0 +1,314 @@
+import { getJson, setJson, deleteKey } from "./store.js";
+
+// Declarative status derivation: an ordered list of rules, the first rule whose conditions hold sets the stage.
+// A rule: { name, when: [condition, ...] (all must hold), any: [condition, ...] (one must hold), stage }
+// A condition: { column: "Name" | ["Name", "Fallback"], columnPattern?: "regex over header names", op, value?, days?, not? }
+//   op: equals | contains | regex | date-present | date-within-days
+//   date-present: some "Name: date" segment has a real date (with `days`, one at most that many days old)
+// A stage of "" stops evaluation with no stage (e.g. soft-circled prospects are not authoritative).
+export const OPS = ["equals", "contains", "regex", "date-present", "date-within-days"];
+// Longest regex or columnPattern a rule may carry, and the most of a cell a regex is run against
+const MAX_PATTERN_LENGTH = 200;
+const MAX_REGEX_INPUT = 1000;
+
+const SUBSCRIPTION = { column: ["Subscription Status", "Subscription"], columnPattern: "subscription" };
+const PROSPECT = { column: "Prospect Status" };
+const LATEST = { column: "Latest update" };
+export const ACCESS_DETAIL = { column: "Data room access detail", columnPattern: "data\\s*room.*access" };
+// DATA_ROOM_ACCESS_WINDOW_DAYS: data room accesses older than this don't count toward "Data Room Accessed / NDA Executed"
+export const DATA_ROOM_ACCESS_WINDOW_DAYS = process.env.DATA_ROOM_ACCESS_WINDOW_DAYS ? Number(process.env.DATA_ROOM_ACCESS_WINDOW_DAYS) : null;
+const WINDOW = DATA_ROOM_ACCESS_WINDOW_DAYS != null ? { days: DATA_ROOM_ACCESS_WINDOW_DAYS } : {};
+
+// Reproduces the original hard-coded derivation, in the same order, after the terminal outcomes. A rule whose stage is a
+// lock stage of the list (Passed, Declined, …) moves the entry there from any stage.
+export const DEFAULT_STATUS_RULES = [
+  { name: "Subscription declined, withdrawn or cancelled", when: [{ ...SUBSCRIPTION, op: "regex", value: "declin|withdr[ae]wn?|cancell?ed|rescinded" }], stage: "Passed" },
+  { name: "Subscription signed", when: [{ ...SUBSCRIPTION, op: "regex", value: "counter\\s*-?signed|fully\\s*executed|executed|signed" }], stage: "Sub Docs Signed" },
+  { name: "Subscription awaiting signature", when: [{ ...SUBSCRIPTION, op: "regex", value: "awaiting.*investor.*signature|staff review" }], stage: "Ready for Sub Docs" },
+  { name: "Subscription started", when: [{ ...SUBSCRIPTION, op: "regex", value: "started|draft|invited" }], stage: "Sub Docs Sent" },
+  { name: "Data room accessed (detail)", when: [{ ...ACCESS_DETAIL, op: "date-present", ...WINDOW }], stage: "Data Room Accessed / NDA Executed" },
+  {
+    name: "Data room accessed (last accessed)",
+    // With an access window the column needs a recent date; without one, anything but "not yet…" counts
+    when: DATA_ROOM_ACCESS_WINDOW_DAYS != null
+      ? [{ column: "Data room last accessed", op: "date-present", ...WINDOW }]
+      : [
+        { column: "Data room last accessed", op: "regex", value: "\\S" },
+        { column: "Data room last accessed", op: "regex", value: "not\\s*yet", not: true }
+      ],
+    stage: "Data Room Accessed / NDA Executed"
+  },
+  { name: "Data room granted", when: [{ column: "Data room granted", op: "regex", value: "granted|yes|y" }], stage: "Invited to Data Room" },
+  { name: "Soft-circled (not authoritative)", when: [{ ...PROSPECT, op: "contains", value: "soft" }, { ...PROSPECT, op: "contains", value: "circled" }], stage: "" },
+  { name: "Deck or PPM sent", when: [{ ...LATEST, op: "regex", value: "ppm|pitch\\s*deck|deck\\s*sent" }], stage: "Deck & PPM Sent" },
+  {
+    name: "Intro or first meeting",
+    any: [
+      { ...LATEST, op: "regex", value: "first\\s*meeting|meeting\\s+scheduled|intro\\s*call|intro\\b" },
+      { ...PROSPECT, op: "regex", value: "intro|first\\s*meeting" }
+    ],
+    stage: "Intro/First Meeting"
+  },
+  { name: "Early dialogue", when: [{ ...PROSPECT, op: "regex", value: "contacted|engaged|early\\s*dialogue" }], stage: "Early Dialogue (Post-Intro)" },
+  { name: "Target identified", any: [{ ...PROSPECT, op: "regex", value: "target\\s*identified" }, { ...PROSPECT, op: "equals", value: "new" }], stage: "Target Identified" }
+];
+
+const RULES_KEY = "status-rules";
+
+// SUB_STATUS_TO_STAGE_JSON (subscription value → stage) still works: each entry becomes an equals rule ahead of the others
+function subStatusRules() {
+  try {
+    const raw = process.env.SUB_STATUS_TO_STAGE_JSON;
+    if (!raw) return [];
+    return Object.entries(JSON.parse(raw)).map(([value, stage]) => ({
+      name: `SUB_STATUS_TO_STAGE_JSON: ${value}`,
+      when: [{ ...SUBSCRIPTION, op: "equals", value }],
+      stage: String(stage)
+    }));
+  } catch { return []; }
+}
+
+function envRules() {
+  try {
+    const raw = process.env.STATUS_RULES_JSON;
+    return raw ? JSON.parse(raw) : null;
+  } catch { return null; }
+}
+
+// Rules saved through /api/rules win over STATUS_RULES_JSON, which wins over the defaults
+export async function loadStatusRules() {
+  const stored = await getJson(RULES_KEY);
+  const env = envRules();
+  const source = stored?.rules ? "store" : (env ? "env" : "default");
+  const rules = stored?.rules || env || DEFAULT_STATUS_RULES;
+  return { source, updatedAt: stored?.updatedAt, updatedBy: stored?.updatedBy, rules: [...subStatusRules(), ...rules] };
+}
+
+export async function saveStatusRules(rules, updatedBy) {
+  validateStatusRules(rules);
+  const doc = { rules, updatedAt: new Date().toISOString(), updatedBy };
+  await setJson(RULES_KEY, doc);
+  return doc;
+}
+
+export async function resetStatusRules() {
+  await deleteKey(RULES_KEY);
+}
+
+// Why a pattern could backtrack without bound, or null: a backreference, or a repeated group that repeats something
+// inside it ("(a+)+", "(\\w*x)*", "((ab)+c)*"). Not a full analysis, but it rules out the usual catastrophic shapes.
+function backtrackingRisk(pattern) {
+  const s = String(pattern);
+  const groups = []; // per open group: whether it repeats anything inside
+  const repeatsAt = (i) => s[i] === "*" || s[i] === "+" || (s[i] === "{" && /^\{\d+(?:,\d*)?\}/.test(s.slice(i)));
+  let inClass = false;
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (ch === "\\") {
+      if (!inClass && /[1-9k]/.test(s[i + 1] || "")) return "a backreference";
+      i++;
+      continue;
+    }
+    if (inClass) { if (ch === "]") inClass = false; continue; }
+    if (ch === "[") inClass = true;
+    else if (ch === "(") groups.push(false);
+    else if (ch === ")") {
+      const inner = groups.pop();
+      if (!repeatsAt(i + 1)) { if (inner && groups.length) groups[groups.length - 1] = true; continue; }
+      if (inner) return "a repeated group with a repeat inside it";
+      if (groups.length) groups[groups.length - 1] = true;
+    } else if (repeatsAt(i) && groups.length) groups[groups.length - 1] = true;
+  }
+  return null;
+}
+
+// Throws with a message naming the offending rule
+export function validateStatusRules(rules) {
+  if (!Array.isArray(rules) || !rules.length) throw new Error("rules must be a non-empty array");
+  rules.forEach((rule, i) => {
+    const label = `Rule ${i + 1}${rule?.name ? ` (${rule.name})` : ""}`;
+    if (!rule || typeof rule.stage !== "string") throw new Error(`${label}: stage must be a string ("" for no stage)`);
+    const conditions = [...(rule.when || []), ...(rule.any || [])];
+    if (!conditions.length) throw new Error(`${label}: needs at least one condition in when or any`);
+    for (const c of conditions) {
+      if (!c.column && !c.columnPattern) throw new Error(`${label}: condition needs a column or columnPattern`);
+      if (!OPS.includes(c.op)) throw new Error(`${label}: unknown op '${c.op}' (use ${OPS.join(", ")})`);
+      if (["equals", "contains", "regex"].includes(c.op) && (c.value == null || c.value === "")) throw new Error(`${label}: op ${c.op} needs a value`);
+      for (const [what, pattern] of [["regex", c.op === "regex" ? c.value : null], ["columnPattern", c.columnPattern]]) {
+        if (pattern == null) continue;
+        if (String(pattern).length > MAX_PATTERN_LENGTH) throw new Error(`${label}: ${what} is longer than ${MAX_PATTERN_LENGTH} characters`);
+        const risk = backtrackingRisk(pattern);
+        if (risk) throw new Error(`${label}: ${what} '${pattern}' has ${risk}, which can take too long to match`);
+      }
+      if (c.op === "regex") {
+        try { new RegExp(c.value, "i"); } catch (e) { throw new Error(`${label}: invalid regex '${c.value}' (${e.message})`); }
+      }
+      if (c.columnPattern) {
+        try { new RegExp(c.columnPattern, "i"); } catch (e) { throw new Error(`${label}: invalid columnPattern '${c.columnPattern}' (${e.message})`); }
+      }
+      if (c.op === "date-within-days" && !(Number(c.days) >= 0)) throw new Error(`${label}: date-within-days needs days >= 0`);
+      if (c.op === "date-present" && c.days != null && !(Number(c.days) >= 0)) throw new Error(`${label}: date-present days must be >= 0`);
+    }
+  });
+}
+
+// First non-empty listed column (header match ignores case and surrounding spaces), else the first header matching columnPattern
+function resolveColumn(row, condition) {
+  const keys = Object.keys(row || {});
+  const wanted = [].concat(condition.column || []);
+  for (const name of wanted) {
+    const key = keys.find(k => k === name) ?? keys.find(k => k.trim().toLowerCase() === String(name).trim().toLowerCase());
+    const value = key != null ? String(row[key] ?? "").trim() : "";
+    if (value) return { column: key, value };
+  }
+  if (condition.columnPattern) {
+    const re = new RegExp(condition.columnPattern, "i");
+    const key = keys.find(k => re.test(k));
+    if (key != null) return { column: key, value: String(row[key] ?? "").trim() };
+  }
+  return { column: wanted[0] || null, value: "" };
+}
+
+const MONTH = "\\b(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)(?:\\.|\\b)";
+const DAY = "\\d{1,2}(?:st|nd|rd|th)?";
+// "2025-08-19", "8/19/2025", "19/08/2025", "19.08.2025", "19-Aug-2025", "Aug 19, 2025", "19 Aug 2025", and without
+// a year "Aug 19", "19 Aug"
+const DATE_TOKENS = new RegExp(
+  `\\d{4}-\\d{1,2}-\\d{1,2}|\\d{1,2}/\\d{1,2}/\\d{2,4}|\\b\\d{1,2}\\.\\d{1,2}\\.\\d{4}|\\b\\d{1,2}-${MONTH}-\\d{2,4}|${MONTH}\\s+${DAY},?\\s+\\d{4}|\\b\\d{1,2}\\s+${MONTH},?\\s+\\d{4}` +
+  `|${MONTH}\\s+${DAY}(?!\\d)|\\b\\d{1,2}\\s+${MONTH}`,
+  "gi"
+);
+const YEARLESS = new RegExp(`^(?:${MONTH}\\s+${DAY}|\\d{1,2}\\s+${MONTH})$`, "i");
+const NUMERIC = /^(\d{1,2})([/.])(\d{1,2})\2(\d{2,4})$/;
+
+// "a/b/yyyy" or "a.b.yyyy" as a local Date. A part over 12 can only be the day; when both could be the month, a
+// slash date is month first (US, as JSQ writes them) and a dotted date day first. Two-digit years are 20xx.
+function parseNumericDate(token) {
+  const [, a, sep, b, y] = NUMERIC.exec(token);
+  const dayFirst = Number(a) > 12 || (Number(b) <= 12 && sep === ".");
+  const [day, month] = dayFirst ? [Number(a), Number(b)] : [Number(b), Number(a)];
+  const year = y.length === 2 ? 2000 + Number(y) : Number(y);
+  const d = new Date(year, month - 1, day);
+  return month >= 1 && month <= 12 && d.getDate() === day ? d : new Date(NaN);
+}
+
+// A date token as a Date (ISO dates parse as UTC, the others as local time). A day without a year is the latest
+// such day that isn't in the future.
+function parseDateToken(token, now) {
+  if (NUMERIC.test(token)) return parseNumericDate(token);
+  let text = token.replace(/(\d)(st|nd|rd|th)/i, "$1");
+  if (/[a-z]/i.test(text)) text = text.replace(/-/g, " ");
+  if (!YEARLESS.test(token)) return new Date(text);
+  const year = new Date(now).getFullYear();
+  const d = new Date(`${text} ${year}`);
+  if (d.getTime() - now > 86_400_000) d.setFullYear(year - 1);
+  return d;
+}
+
+// Dates mentioned anywhere in a cell, e.g. "Jane: Aug 19 2025; Bob: not yet accessed"
+export function datesIn(text, { now = Date.now() } = {}) {
+  const out = [];
+  for (const token of String(text || "").match(DATE_TOKENS) || []) {
+    const d = parseDateToken(token, now);
+    if (!Number.isNaN(d.getTime())) out.push(d);
+  }
+  return out;
+}
+
+// Calendar day of a date token
+function dayOf(token, now) {
+  const d = parseDateToken(token, now);
+  if (Number.isNaN(d.getTime())) return null;
+  const utc = /^\d{4}-/.test(token);
+  const [y, m, day] = utc ? [d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()] : [d.getFullYear(), d.getMonth(), d.getDate()];
+  return new Date(Date.UTC(y, m, day)).toISOString().slice(0, 10);
+}
+
+// "Jane Doe: Aug 19 2025; Bob Smith: not yet accessed" → [{ contact, date: "YYYY-MM-DD" | null, unreadable? }, ...]
+// (the latest date when a segment has several; no date for "not yet…" or text without one). Text before the first
+// colon is a contact only when it has no date in it: "Aug 19 2025 10:30" is a time. `unreadable` marks a segment
+// with digits but no date that could be read, which would otherwise count as no access without a word.
+export function parseAccessDetail(text, { now = Date.now() } = {}) {
+  return String(text || "").split(/[;\n]/).map(part => part.trim()).filter(Boolean).map(part => {
+    const colon = part.indexOf(":");
+    const head = colon === -1 ? "" : part.slice(0, colon).trim();
+    const named = /[^\s\d]/.test(head) && !head.match(DATE_TOKENS);
+    const contact = named ? head : "";
+    const rest = named ? part.slice(colon + 1) : part;
+    const notYet = /not\s*yet/i.test(rest);
+    const dates = notYet ? [] : (rest.match(DATE_TOKENS) || []).map(t => dayOf(t, now)).filter(Boolean).sort();
+    const unreadable = !notYet && !dates.length && /\d/.test(rest);
+    return { contact, date: dates.length ? dates[dates.length - 1] : null, ...(unreadable ? { unreadable } : {}) };
+  });
+}
+
+// Whether the row's access detail has a segment with digits but no date that could be read
+export function hasUnreadableAccessDate(row, { now = Date.now() } = {}) {
+  const { value } = resolveColumn(row, ACCESS_DETAIL);
+  return parseAccessDetail(value, { now }).some(s => s.unreadable);
+}
+
+function withinDays(day, days, now) {
+  const t = Date.parse(`${day}T00:00:00Z`);
+  return now - t <= (Number(days) + 1) * 86_400_000 && t - now <= 86_400_000;
+}
+
+// Some segment has a real date; with `days`, a date no older than that
+function hasDateSegment(text, days, now) {
+  return parseAccessDetail(text, { now }).some(s => s.date && (days == null || withinDays(s.date, days, now)));
+}
+
+// Who accessed the data room and when, from the row's access detail column: the latest date per contact, newest
+// first, and the row's most recent access. `stale` when DATA_ROOM_ACCESS_WINDOW_DAYS is set and that is older.
+// null when the row has no dated access.
+export function dataRoomActivity(row, { now = Date.now() } = {}) {
+  const { value } = resolveColumn(row, ACCESS_DETAIL);
+  const latest = new Map();
+  for (const s of parseAccessDetail(value, { now })) {
+    if (!s.date) continue;
+    const key = s.contact.toLowerCase();
+    if (!latest.has(key) || latest.get(key).date < s.date) latest.set(key, { name: s.contact, date: s.date });
+  }
+  if (!latest.size) return null;
+  const contacts = Array.from(latest.values()).sort((a, b) => b.date.localeCompare(a.date));
+  const lastAccessed = contacts[0].date;
+  const windowDays = DATA_ROOM_ACCESS_WINDOW_DAYS ?? undefined;
+  return { lastAccessed, contacts, windowDays, stale: windowDays != null ? !withinDays(lastAccessed, windowDays, now) : undefined };
+}
+
+function testCondition(condition, value, now) {
+  const lower = value.toLowerCase();
+  const values = [].concat(condition.value ?? []).map(v => String(v).toLowerCase());
+  switch (condition.op) {
+    case "equals": return values.includes(lower.trim());
+    case "contains": return values.some(v => lower.includes(v));
+    case "regex": return new RegExp(condition.value, "i").test(value.slice(0, MAX_REGEX_INPUT));
+    case "date-present": return hasDateSegment(value, condition.days, now);
+    case "date-within-days": {
+      const limit = Number(condition.days) * 86_400_000;
+      return datesIn(value, { now }).some(d => now - d.getTime() <= limit && d.getTime() - now <= 86_400_000);
+    }
+    default: return false;
+  }
+}
+
+function evaluateCondition(row, condition, now) {
+  const { column, value } = resolveColumn(row, condition);
+  const hit = testCondition(condition, value, now);
+  const matched = condition.not ? !hit : hit;
+  return { column, value: value.length > 200 ? `${value.slice(0, 200)}…` : value, op: condition.not ? `not ${condition.op}` : condition.op, expected: condition.value ?? condition.days, matched };
+}
+
+// → { stage, rule: { index, name } | null, trace }. `trace` lists every rule checked up to the one that fired.
+export function deriveStage(row, rules, { now = Date.now() } = {}) {
+  const trace = [];
+  for (let i = 0; i < rules.length; i++) {
+    const rule = rules[i];
+    const all = (rule.when || []).map(c => evaluateCondition(row, c, now));
+    const any = (rule.any || []).map(c => evaluateCondition(row, c, now));
+    const fired = all.every(c => c.matched) && (!any.length || any.some(c => c.matched));
+    trace.push({ index: i, name: rule.name || `Rule ${i + 1}`, stage: rule.stage, fired, when: all.length ? all : undefined, any: any.length ? any : undefined });
+    if (fired) return { stage: rule.stage, rule: { index: i, name: rule.name || `Rule ${i + 1}` }, trace };
+  }
+  return { stage: "", rule: null, trace };
+}
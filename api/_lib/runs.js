@@ -0,0 +1,60 @@
+import { randomUUID } from "crypto";
+import { getJson, setJson, deleteKey, setJsonIfAbsent } from "./store.js";
+
+const RUN_HISTORY_LIMIT = Number(process.env.RUN_HISTORY_LIMIT || 200);
+const INDEX_KEY = "runs:index";
+// The index is read, changed and written back; runs on different lists can finish together, so each update holds
+// this short lock. It expires on its own should its holder die mid-update.
+const INDEX_LOCK_KEY = "runs:index:lock";
+const INDEX_LOCK_TTL_SECONDS = 30;
+const INDEX_LOCK_WAIT_MS = 5000;
+
+export function newRunId() {
+  return `run_${randomUUID()}`;
+}
+
+function summarize(run) {
+  return {
+    runId: run.runId,
+    createdAt: run.createdAt,
+    caller: run.caller,
+    listIds: run.listIds || [run.listId],
+    writes: (run.writes || []).length,
+    rolledBack: (run.writes || []).filter(w => w.rolledBackAt).length
+  };
+}
+
+async function withIndexLock(fn) {
+  const token = randomUUID();
+  const deadline = Date.now() + INDEX_LOCK_WAIT_MS;
+  while (!(await setJsonIfAbsent(INDEX_LOCK_KEY, { token }, { ttlSeconds: INDEX_LOCK_TTL_SECONDS }))) {
+    if (Date.now() > deadline) throw new Error("The run history is being updated by another run; try again");
+    await new Promise(resolve => setTimeout(resolve, 25 + Math.random() * 75));
+  }
+  try {
+    return await fn();
+  } finally {
+    const holder = await getJson(INDEX_LOCK_KEY).catch(() => null);
+    if (holder?.token === token) await deleteKey(INDEX_LOCK_KEY).catch(() => {});
+  }
+}
+
+// Persist a run and keep a bounded, newest-first index for listing
+export async function saveRun(run) {
+  await setJson(`run:${run.runId}`, run);
+  await withIndexLock(async () => {
+    const index = (await getJson(INDEX_KEY)) || [];
+    const next = [summarize(run), ...index.filter(r => r.runId !== run.runId)].slice(0, RUN_HISTORY_LIMIT);
+    await setJson(INDEX_KEY, next);
+  });
+  return run;
+}
+
+export async function getRun(runId) {
+  if (!runId) return null;
+  return await getJson(`run:${runId}`);
+}
+
+export async function listRuns() {
+  return (await getJson(INDEX_KEY)) || [];
+}
@@ -0,0 +1,148 @@
+import { fetchStatusFieldAndOptions, fetchEntriesWithStatus } from "./affinity.js";
+import { buildMatchIndexes } from "./match.js";
+import { getJson, setJson, deleteKey } from "./store.js";
+
+// Persisted snapshot of one list: status field + label map, entries, current statuses, associations and
+// mapped field values. Reused until SNAPSHOT_TTL_SECONDS pass or it is refreshed; our own writes are
+// applied to it in place so a dry run followed by apply (or rollback) doesn't page the list again.
+const SNAPSHOT_TTL_SECONDS = Number(process.env.SNAPSHOT_TTL_SECONDS || 900);
+
+const keyFor = (listId) => `snapshot:${listId}`;
+
+// Match indexes rebuilt at most once per snapshot while the function instance stays warm
+const indexCache = new Map();
+const INDEX_CACHE_SIZE = 10;
+
+function isFresh(doc, list) {
+  if (!doc || String(doc.statusFieldName).toLowerCase() !== String(list.statusFieldName).toLowerCase()) return false;
+  return Date.now() - Date.parse(doc.fetchedAt) < SNAPSHOT_TTL_SECONDS * 1000;
+}
+
+function hydrate(doc, cached) {
+  const { meta } = doc;
+  return {
+    ...meta,
+    listId: doc.listId,
+    labelToId: new Map(meta.labelToId),
+    entries: doc.entries,
+    currentStatusById: new Map(doc.currentStatus),
+    currentOptionIdById: new Map(doc.currentOptionId),
+    associationsById: new Map(doc.associations),
+    fieldValuesById: new Map(doc.fieldValues.map(([id, values]) => [id, new Map(values)])),
+    fetchedAt: doc.fetchedAt,
+    cached
+  };
+}
+
+async function fetchSnapshot(list, valueFieldIdsFor) {
+  const meta = await fetchStatusFieldAndOptions(list.listId, list.statusFieldName, { scanEntries: false });
+  const fieldIds = valueFieldIdsFor(meta.fields);
+  const data = await fetchEntriesWithStatus(list.listId, meta.statusFieldId, meta.peopleFieldIds, meta.orgFieldIds, fieldIds);
+  // Fields API without options: use the labels seen while paging the entries (one pass instead of two)
+  for (const [label, id] of data.learnedLabels) if (!meta.labelToId.has(label)) meta.labelToId.set(label, id);
+  return {
+    listId: list.listId,
+    statusFieldName: list.statusFieldName,
+    fetchedAt: new Date().toISOString(),
+    fieldIds: fieldIds.map(String),
+    meta: { ...meta, labelToId: Array.from(meta.labelToId) },
+    entries: data.entries.map(({ id, entity }) => ({ id, entity })),
+    currentStatus: Array.from(data.currentStatusById),
+    currentOptionId: Array.from(data.currentOptionIdById),
+    associations: Array.from(data.associationsById),
+    fieldValues: Array.from(data.fieldValuesById).map(([id, values]) => [id, Array.from(values)])
+  };
+}
+
+// Everything syncList needs about a list. `valueFieldIdsFor(fields)` names the mapped fields whose values
+// must be included; a snapshot taken without one of them is fetched again.
+export async function getListSnapshot(list, valueFieldIdsFor, { refresh = false } = {}) {
+  const doc = refresh ? null : await getJson(keyFor(list.listId)).catch(() => null);
+  if (isFresh(doc, list)) {
+    const needed = valueFieldIdsFor(doc.meta.fields).map(String);
+    if (needed.every(id => doc.fieldIds.includes(id))) return hydrate(doc, true);
+  }
+  const fresh = await fetchSnapshot(list, valueFieldIdsFor);
+  // A snapshot that can't be stored (e.g. too large for the KV plan) only costs the next run a fetch
+  await setJson(keyFor(list.listId), fresh, { ttlSeconds: SNAPSHOT_TTL_SECONDS }).catch(() => {});
+  return hydrate(fresh, false);
+}
+
+export function matchIndexesFor(snapshot) {
+  const key = `${snapshot.listId}:${snapshot.statusFieldId}:${snapshot.fetchedAt}:${snapshot.entries.length}`;
+  if (!indexCache.has(key)) {
+    if (indexCache.size >= INDEX_CACHE_SIZE) indexCache.delete(indexCache.keys().next().value);
+    indexCache.set(key, buildMatchIndexes(snapshot.entries, snapshot.associationsById));
+  }
+  return indexCache.get(key);
+}
+
+function optionLabel(field, optionId, fallback) {
+  const options = field?.dropdown_options || field?.dropdownOptions || field?.options || [];
+  const option = options.find(o => String(o.id) === String(optionId));
+  return String(option?.name || option?.label || option?.text || fallback || "");
+}
+
+function setPair(pairs, id, value) {
+  const i = pairs.findIndex(([k]) => String(k) === String(id));
+  if (value == null || value === "") { if (i !== -1) pairs.splice(i, 1); return; }
+  if (i === -1) pairs.push([id, value]); else pairs[i][1] = value;
+}
+
+// Apply writes that went through to the stored snapshots (new values, or previous ones for a rollback).
+// Creating an entry changes the entries themselves, so that list's snapshot is dropped instead.
+export async function updateSnapshotsAfterWrites(writes, { rollback = false } = {}) {
+  const byList = new Map();
+  for (const w of writes || []) {
+    if (w.listId == null) continue;
+    if (!byList.has(w.listId)) byList.set(w.listId, []);
+    byList.get(w.listId).push(w);
+  }
+  for (const [listId, listWrites] of byList) {
+    try {
+      if (!rollback && listWrites.some(w => w.kind === 'create')) {
+        await deleteKey(keyFor(listId));
+        continue;
+      }
+      const doc = await getJson(keyFor(listId));
+      if (!doc) continue;
+      for (const w of listWrites) {
+        if (w.kind === 'field') {
+          const data = rollback ? w.previousValue : w.newValue;
+          let entry = doc.fieldValues.find(([id]) => String(id) === String(w.entryId));
+          if (!entry) doc.fieldValues.push(entry = [w.entryId, []]);
+          setPair(entry[1], String(w.fieldId), data ?? null);
+          continue;
+        }
+        if (String(w.statusFieldId) !== String(doc.meta.statusFieldId)) continue;
+        const optionId = rollback ? w.previousOptionId : w.newOptionId;
+        const label = optionId == null ? "" : optionLabel(doc.meta.field, optionId, rollback ? w.previousLabel : w.newLabel);
+        setPair(doc.currentStatus, w.entryId, label);
+        setPair(doc.currentOptionId, w.entryId, optionId);
+      }
+      // Keep the original fetch time: in-place updates don't make the rest of the snapshot any fresher
+      const ttlSeconds = Math.max(1, Math.ceil(SNAPSHOT_TTL_SECONDS - (Date.now() - Date.parse(doc.fetchedAt)) / 1000));
+      await setJson(keyFor(listId), doc, { ttlSeconds });
+    } catch {
+      await deleteKey(keyFor(listId)).catch(() => {});
+    }
+  }
+}
+
+export async function dropListSnapshot(listId) {
+  await deleteKey(keyFor(listId));
+}
+
+export async function describeListSnapshot(listId) {
+  const doc = await getJson(keyFor(listId));
+  if (!doc) return { listId, cached: false };
+  return {
+    listId,
+    cached: true,
+    statusFieldName: doc.statusFieldName,
+    fetchedAt: doc.fetchedAt,
+    ageSeconds: Math.round((Date.now() - Date.parse(doc.fetchedAt)) / 1000),
+    ttlSeconds: SNAPSHOT_TTL_SECONDS,
+    entries: doc.entries.length
+  };
+}
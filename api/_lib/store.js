@@ -0,0 +1,128 @@
+import axios from "axios";
+import { randomUUID } from "crypto";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+
+// Small JSON key/value store for run history and other state that must outlive a request.
+// Uses a Redis REST endpoint (Vercel KV / Upstash) when configured, else files under SYNC_DATA_DIR.
+const KV_URL = process.env.KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL || "";
+const KV_TOKEN = process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN || "";
+const KEY_PREFIX = process.env.SYNC_STORE_PREFIX || "jsq-sync:";
+const DATA_DIR = process.env.SYNC_DATA_DIR || path.join(os.tmpdir(), "jsq-affinity-csv-sync");
+
+const KV = KV_URL ? axios.create({
+  baseURL: KV_URL,
+  headers: { Authorization: `Bearer ${KV_TOKEN}`, "Content-Type": "application/json" },
+  timeout: 15000,
+}) : null;
+
+async function kvCommand(...args) {
+  const { data } = await KV.post("/", args);
+  return data?.result ?? null;
+}
+
+function fileFor(key) {
+  return path.join(DATA_DIR, `${encodeURIComponent(key)}.json`);
+}
+
+export async function getJson(key) {
+  if (KV) {
+    const raw = await kvCommand("GET", KEY_PREFIX + key);
+    return raw == null ? null : JSON.parse(raw);
+  }
+  try {
+    const { value, expiresAt } = JSON.parse(await fs.readFile(fileFor(key), "utf8"));
+    if (expiresAt && expiresAt < Date.now()) return null;
+    return value ?? null;
+  } catch {
+    return null;
+  }
+}
+
+export async function setJson(key, value, { ttlSeconds } = {}) {
+  if (KV) {
+    const args = ["SET", KEY_PREFIX + key, JSON.stringify(value)];
+    if (ttlSeconds) args.push("EX", Math.ceil(ttlSeconds));
+    await kvCommand(...args);
+    return;
+  }
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  const expiresAt = ttlSeconds ? Date.now() + ttlSeconds * 1000 : null;
+  // Write then rename so readers never see a half-written file
+  const tmp = `${fileFor(key)}.${randomUUID()}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify({ value, expiresAt }));
+  await fs.rename(tmp, fileFor(key));
+}
+
+export async function deleteKey(key) {
+  if (KV) {
+    await kvCommand("DEL", KEY_PREFIX + key);
+    return;
+  }
+  try { await fs.unlink(fileFor(key)); } catch { /* already gone */ }
+}
+
+// Set only when the key is missing (or expired); false when it already exists. Used as a short-lived lock.
+export async function setJsonIfAbsent(key, value, { ttlSeconds } = {}) {
+  if (KV) {
+    const args = ["SET", KEY_PREFIX + key, JSON.stringify(value), "NX"];
+    if (ttlSeconds) args.push("EX", Math.ceil(ttlSeconds));
+    return (await kvCommand(...args)) === "OK";
+  }
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  const file = fileFor(key);
+  const expiresAt = ttlSeconds ? Date.now() + ttlSeconds * 1000 : null;
+  // Written in full first and then linked into place: the link fails when the key exists, and nobody ever reads a
+  // half-written holder
+  const tmp = `${file}.${randomUUID()}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify({ value, expiresAt }));
+  try {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      try {
+        await fs.link(tmp, file);
+        return true;
+      } catch (e) {
+        if (e.code !== "EEXIST") throw e;
+      }
+      if (!(await clearExpired(file))) return false;
+    }
+    return false;
+  } finally {
+    await fs.unlink(tmp).catch(() => {});
+  }
+}
+
+// Move an expired holder out of the way → true when the key is free to take again. A holder that can't be read or
+// parsed is kept: it is not known to have expired.
+async function clearExpired(file) {
+  let raw;
+  try {
+    raw = await fs.readFile(file, "utf8");
+  } catch (e) {
+    if (e.code === "ENOENT") return true;
+    throw e;
+  }
+  let expiresAt;
+  try {
+    ({ expiresAt } = JSON.parse(raw));
+  } catch {
+    return false;
+  }
+  if (!expiresAt || expiresAt >= Date.now()) return false;
+  const aside = `${file}.${randomUUID()}.expired`;
+  try {
+    await fs.rename(file, aside);
+  } catch (e) {
+    if (e.code === "ENOENT") return true;
+    throw e;
+  }
+  // Another process may have replaced the expired holder in the meantime: its holder goes back, and stays its
+  if ((await fs.readFile(aside, "utf8")) !== raw) {
+    await fs.link(aside, file).catch(() => {});
+    await fs.unlink(aside).catch(() => {});
+    return false;
+  }
+  await fs.unlink(aside).catch(() => {});
+  return true;
+}
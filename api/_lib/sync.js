@@ -0,0 +1,735 @@
+import {
+  fetchEntryStatus,
+  updateStatus,
+  updateFieldValue
+} from "./affinity.js";
+import { REDACT_RESPONSE, redactIdentities } from "./http.js";
+import { loadRouting, routeRows, buildPipeline } from "./lists.js";
+import { matchRow, matchContact, rankCandidates } from "./match.js";
+import { safeBestMatch, entityDisplayName, extractEmails, parseVehicleName } from "./names.js";
+import { proposeCreate, carryOutCreate } from "./create.js";
+import { resolveFieldMappings, diffFieldValues } from "./fields.js";
+import { loadStatusRules, deriveStage, dataRoomActivity, hasUnreadableAccessDate } from "./rules.js";
+import { listOverrides, findOverride } from "./overrides.js";
+import { newPlanId, savePlan } from "./plans.js";
+import { newRunId, saveRun } from "./runs.js";
+import { buildReport, saveReport } from "./report.js";
+import { commitBaseline } from "./exportdiff.js";
+import { RECONCILE_SIGNED_STATUS_LABEL, rowDiscrepancies, pipelineEntries, finishReconcile } from "./reconcile.js";
+import { getListSnapshot, matchIndexesFor, updateSnapshotsAfterWrites } from "./snapshots.js";
+import { holdListLocks, releaseListLocks, lockedMessage } from "./locks.js";
+import { AFFINITY_CONCURRENCY, mapWithConcurrency } from "./concurrency.js";
+
+// The sync itself, shared by /api/upload (one request) and /api/jobs (background jobs, a chunk of rows at a time)
+const PREFER_ORGANIZATIONS = process.env.PREFER_ORGANIZATIONS === '1';
+const LOW_CONFIDENCE_SCORE = Number(process.env.LOW_CONFIDENCE_SCORE || 0.9);
+// Status write kind → [outcome when written, outcome in a dry run]
+const TRANSITION_OUTCOMES = { upgrade: ['updated', 'would_update'], terminal: ['closed', 'would_close'], downgrade: ['downgraded', 'would_downgrade'] };
+// Live outcomes after which the entry holds the row's derived status; the export baseline keeps only these rows
+const SETTLED_OUTCOMES = new Set(['updated', 'created', 'closed', 'downgraded', 'unchanged']);
+
+// Aliases come from the list config (STATUS_LABEL_ALIASES_JSON merged with per-list labelAliases)
+function applyAlias(targetLabel, aliases) {
+  const lower = String(targetLabel || '').toLowerCase();
+  return (aliases && aliases[lower]) || targetLabel;
+}
+
+// Name columns, in priority order (column-mapping profiles rename other layouts to these)
+export const ORG_COLUMNS = ["Organization", "Firm", "Company"];
+export const PERSON_COLUMNS = ["Name", "Investor Name", "LP Name", "Contacts", "Contact"];
+// Email columns; addresses written into the name columns ("Jane Doe <jane@acme.com>") are picked up as well
+export const EMAIL_COLUMNS = ["Email", "Emails", "Contact Email", "Investor Email", "Email Address"];
+
+function extractOrgCandidates(row) {
+  const candidates = [];
+  for (const k of ORG_COLUMNS) {
+    const v = row[k];
+    if (v && String(v).trim()) candidates.push(String(v).trim());
+  }
+  return Array.from(new Set(candidates));
+}
+
+function extractPersonCandidates(row) {
+  const candidates = [];
+  for (const k of PERSON_COLUMNS) {
+    const v = row[k];
+    if (!v) continue;
+    const s = String(v);
+    if (k.toLowerCase().includes('contact') || s.includes('∙') || s.includes(';')) {
+      s.split(/\s*[;|∙]\s*/).forEach(part => { if (part && part.trim()) candidates.push(part.trim()); });
+    } else {
+      candidates.push(s.trim());
+    }
+  }
+  // de-dup, with any address taken out of the name
+  const names = candidates.map(c => extractEmails(c).length ? c.replace(/<?[^\s<>]+@[^\s<>]+>?/g, "").replace(/[(),]+\s*$/, "").trim() : c);
+  return Array.from(new Set(names.filter(Boolean)));
+}
+
+function extractEmailCandidates(row) {
+  return Array.from(new Set([...EMAIL_COLUMNS, ...PERSON_COLUMNS].flatMap(k => extractEmails(row[k]))));
+}
+
+// Names that are investing vehicles (IRAs, trusts, FBO accounts, family or holding companies), parsed
+function extractVehicles(names) {
+  return names.map(name => ({ name, ...parseVehicleName(name) })).filter(v => v.kind);
+}
+
+function resolveStatusOptionId(statusLabel, labelToId, aliases) {
+  if (!statusLabel) return null;
+  const effective = applyAlias(statusLabel, aliases);
+  const norm = String(effective).toLowerCase();
+  // Direct
+  if (labelToId.has(norm)) return labelToId.get(norm);
+  const labels = Array.from(labelToId.keys());
+  // Synonym patterns (broadened)
+  const hasAll = (l, pats) => pats.every(p => l.includes(p));
+  const pickBy = (patternsArr) => labels.find(l => hasAll(l, patternsArr));
+  let candidate = null;
+  if (!candidate && (norm.includes('data') || norm.includes('nda'))) {
+    candidate = pickBy(['nda']) || pickBy(['data','room']) || pickBy(['access']);
+  }
+  if (!candidate && norm.includes('ready')) {
+    candidate = pickBy(['ready','sub']) || pickBy(['ready','doc']);
+  }
+  if (!candidate && norm.includes('sent')) {
+    candidate = pickBy(['sent','sub']) || pickBy(['sent','doc']);
+  }
+  if (!candidate && norm.includes('signed')) {
+    candidate = pickBy(['sign','sub']) || pickBy(['execut']);
+  }
+  if (!candidate && norm.includes('verbal')) {
+    candidate = pickBy(['verbal']);
+  }
+  if (!candidate && (norm.includes('deck') || norm.includes('ppm'))) {
+    candidate = pickBy(['deck']) || pickBy(['ppm']) || pickBy(['material']);
+  }
+  if (!candidate && norm.includes('intro')) {
+    candidate = pickBy(['intro']);
+  }
+  if (!candidate && norm.includes('early')) {
+    candidate = pickBy(['early']);
+  }
+  if (!candidate && norm.includes('target')) {
+    candidate = pickBy(['target']) || pickBy(['new']);
+  }
+  if (!candidate && norm.includes('commit')) {
+    candidate = pickBy(['commit']);
+  }
+  if (candidate && labelToId.has(candidate)) return labelToId.get(candidate);
+  // Fuzzy (safe)
+  const target = safeBestMatch(norm, labels, 0.80);
+  return target ? labelToId.get(target) : null;
+}
+
+function redact(results) {
+  if (!REDACT_RESPONSE) return results;
+  return results.map(r => ({
+    matched: r.matched,
+    updated: r.updated,
+    wouldUpdate: r.wouldUpdate,
+    created: r.created,
+    wouldCreate: r.wouldCreate,
+    reason: r.reason,
+    outcome: r.outcome,
+    row: r.row,
+    planWriteId: r.planWriteId,
+    list: r.list,
+    mergedInto: r.mergedInto,
+    rows: r.rows,
+    supersededBy: r.supersededBy,
+    vehicles: r.vehicles?.map(v => ({ kind: v.kind })),
+    dataRoom: r.dataRoom && { lastAccessed: r.dataRoom.lastAccessed, windowDays: r.dataRoom.windowDays, stale: r.dataRoom.stale },
+    fields: r.fields?.map(f => ({ field: f.field, updated: f.updated, wouldUpdate: f.wouldUpdate, reason: f.reason, planWriteId: f.planWriteId }))
+  }));
+}
+
+// Plan write ids count up from the last one (a plan write can be dropped again, see settleEntryActions)
+function nextWriteId(writes) {
+  return String(Number(writes[writes.length - 1]?.id || 0) + 1);
+}
+
+// "<reason>; also decides rows 5 ('Ready for Sub Docs'), 7 (no stage)"
+function withContributors(reason, row, contributors) {
+  const others = contributors.filter(c => c.row !== row);
+  if (!others.length) return reason;
+  const stages = others.map(c => `${c.row} (${c.statusLabel ? `'${c.statusLabel}'` : "no stage"})`).join(", ");
+  return [reason, `Also decides row${others.length > 1 ? "s" : ""} ${stages}`].filter(Boolean).join("; ");
+}
+
+// After a batch: the deciding row of each entry lists every row behind the entry's action (earlier batches included),
+// and the action is kept in `run.entryActions` for later batches. A row taking an entry over from an earlier batch
+// turns that batch's decider into a merged row and drops its planned status write; in a live run that write has
+// already happened, so the earlier row is only marked `supersededBy`.
+function settleEntryActions(list, actions, results, run) {
+  for (const [id, { decider, prior, contributors }] of actions) {
+    const key = `${list.listId}:${id}`;
+    const rows = contributors.map(c => c.row);
+    const priorResult = prior && run.findResult(list.key, prior.row);
+    if (!decider) {
+      if (priorResult) Object.assign(priorResult, { rows, reason: withContributors(prior.reason, prior.row, contributors) });
+      run.entryActions.set(key, { ...prior, contributors });
+      continue;
+    }
+    const row = decider.rec.rowNumber;
+    if (priorResult) {
+      delete priorResult.rows;
+      if (run.isDryRun) {
+        const i = priorResult.planWriteId ? run.writes.findIndex(w => w.id === priorResult.planWriteId) : -1;
+        if (i !== -1) run.writes.splice(i, 1);
+        delete priorResult.planWriteId;
+        delete priorResult.wouldUpdate;
+        Object.assign(priorResult, { outcome: 'merged', mergedInto: row, reason: `Same entry as row ${row}, which decides its status` });
+      } else {
+        Object.assign(priorResult, { supersededBy: row, reason: [prior.reason, `Row ${row} later moved this entry further`].filter(Boolean).join("; ") });
+      }
+    }
+    const result = results.find(r => r.row === row);
+    const reason = result.reason;
+    if (rows.length > 1) Object.assign(result, { rows, reason: withContributors(reason, row, contributors) });
+    run.entryActions.set(key, { row, stage: decider.stage, reason, contributors });
+  }
+}
+
+// Stored form of one mapped-field change (plan and run writes carry it as kind 'field')
+function fieldWrite(d) {
+  return {
+    fieldId: d.mapping.fieldId,
+    fieldName: d.mapping.fieldName,
+    fieldKind: d.mapping.kind,
+    valueType: d.mapping.valueType,
+    column: d.column,
+    previousValue: d.previousData,
+    newValue: d.data,
+    previousLabel: d.previous,
+    newLabel: d.value
+  };
+}
+
+// Plan (dry) or queue the writes of the mapped non-status fields of one matched entry; returns the per-field report,
+// whose items are filled in as the queued writes finish
+function syncFields(list, entryId, name, row, fieldMappings, current, run) {
+  const report = [];
+  for (const d of diffFieldValues(row, fieldMappings, current)) {
+    const item = { field: d.field, column: d.column, previous: d.previous, value: d.value };
+    if (!d.change) {
+      report.push({ ...item, updated: false, reason: d.reason });
+      continue;
+    }
+    const write = { kind: 'field', listId: list.listId, entryId, name, ...fieldWrite(d) };
+    if (run.isDryRun) {
+      const writeId = nextWriteId(run.writes);
+      run.writes.push({ id: writeId, ...write });
+      report.push({ ...item, updated: false, wouldUpdate: true, planWriteId: writeId });
+      continue;
+    }
+    const entryReport = { ...item, updated: false };
+    report.push(entryReport);
+    run.tasks.push(async () => {
+      try {
+        await updateFieldValue(list.listId, entryId, write.fieldId, write.valueType, write.newValue);
+        run.writes.push(write);
+        entryReport.updated = true;
+      } catch (e) {
+        entryReport.error = e?.response?.data || e.message;
+      }
+    });
+  }
+  return report;
+}
+
+// Status decision for one matched entry whose current status is not a lock stage: { transition } when the status is
+// to be written (null for an upgrade), else the row's { outcome, reason }, with `unplaced` naming a label the pipeline
+// order can't place. Enforces the minimum threshold and non-downgrade; both need the derived and current stage placed.
+function statusDecision({ statusLabel, optionId, derivedIdx }, current, forced, list, pipeline, statusField) {
+  const { minIdx } = pipeline;
+  if (!statusLabel) {
+    return minIdx !== -1
+      ? { outcome: 'below_threshold', reason: `Status before minimum threshold (${list.minStatusLabel})` }
+      : { outcome: 'skipped', reason: "Could not derive status from CSV row" };
+  }
+  if (!optionId) return { outcome: 'skipped', reason: `Unknown status '${statusLabel}' for field '${statusField.name}'`, unknownStatus: true };
+  // A rule deriving a lock stage (declined, withdrawn, cancelled → Passed) is a terminal outcome: it applies from
+  // any stage and skips the threshold and ordering checks
+  if (pipeline.isLocked(statusLabel)) return { transition: 'terminal' };
+  if (derivedIdx == null) return { outcome: 'skipped', reason: `Cannot place '${statusLabel}' in the pipeline order; not updating`, unplaced: statusLabel };
+  if (derivedIdx < minIdx) return { outcome: 'below_threshold', reason: `Status before minimum threshold (${list.minStatusLabel})` };
+  if (current.label && current.idx == null) {
+    return { outcome: 'skipped', reason: `Cannot place current status '${current.label}' in the pipeline order; not updating`, unplaced: current.label };
+  }
+  if (current.idx != null && derivedIdx < current.idx) {
+    return forced ? { transition: 'downgrade' } : { outcome: 'downgrade_blocked', reason: `Would downgrade from '${current.label}' to '${statusLabel}'` };
+  }
+  if (current.idx === derivedIdx) return { outcome: 'unchanged', reason: 'Unchanged' };
+  return { transition: null };
+}
+
+// Match, derive and (unless dry) write one routed group of rows against its Affinity list.
+// Live writes are queued while deciding and then run AFFINITY_CONCURRENCY at a time; each fills in its row's result.
+async function syncList(list, rows, run) {
+  const { isDryRun, explainAll, createMissing, overrides, writes, plannedCreates } = run;
+
+  // Status field + options, entries, current status, associations and mapped field values: from the stored
+  // snapshot when fresh, else from Affinity. Then the type-specific match indexes.
+  const snapshot = await getListSnapshot(list, fields => resolveFieldMappings(fields, list.fieldMappings).mappings.map(m => m.fieldId), { refresh: run.refreshSnapshots });
+  const { statusFieldId, labelToId, field: statusField, fields, entries, currentStatusById, currentOptionIdById, fieldValuesById } = snapshot;
+  const { mappings: fieldMappings, warnings: fieldWarnings } = resolveFieldMappings(fields, list.fieldMappings);
+  const matchIndexes = matchIndexesFor(snapshot);
+  const entriesById = new Map(entries.map(e => [String(e.id), e]));
+
+  const knownOptions = Array.from(new Set(Array.from(labelToId.keys())));
+  // Non-downgrade and the minimum threshold compare ranks in this order; labels it can't place are never written
+  const pipeline = buildPipeline(list, statusField, labelToId);
+  const { minIdx } = pipeline;
+  const unplaced = new Set();
+
+  const statusValueType = statusField.valueType || statusField.value_type;
+  // Each write carries its own list/field so one plan or run can span several lists
+  const writeTarget = { listId: list.listId, statusFieldId, statusValueType };
+  // Every result has an `outcome`: updated / would_update, created / would_create, closed / would_close (a terminal
+  // outcome moved the entry to a lock stage), downgraded / would_downgrade (a forced downgrade), unchanged, locked,
+  // downgrade_blocked, below_threshold, skipped (status can't be derived or placed), merged (another row of the same
+  // entry decides it), unmatched or error
+  const results = [];
+  run.tasks = [];
+  const matches = rows.map(rec => {
+    // Manual overrides are checked before any fuzzy logic. One saved for every list whose entry is on another list
+    // (the same investor on another fund's list) doesn't apply here: the row is matched as usual.
+    let override = findOverride(overrides, rec.orgCandidates, rec.personCandidates, list.listId);
+    if (override && !override.neverMatch && override.listId == null && !entriesById.has(String(override.entryId))) override = null;
+    let best = { entry: null, type: "", score: 0, name: "" };
+    const trace = [];
+    if (override && !override.neverMatch) {
+      const overrideEntry = entriesById.get(String(override.entryId));
+      if (overrideEntry) best = { entry: overrideEntry, type: "override", score: 1.0, name: override.org || override.contact };
+    } else if (!override) {
+      best = matchRow(rec, matchIndexes, trace);
+    }
+    // Stage comes from the first status rule that fires (see api/_lib/rules.js and /api/rules)
+    const derived = deriveStage(rec.raw, run.statusRules);
+    const statusLabel = derived.stage;
+    const optionId = statusLabel ? resolveStatusOptionId(statusLabel, labelToId, list.labelAliases) : null;
+    return { rec, override, best, trace, derived, statusLabel, optionId, derivedIdx: pipeline.rankOf(optionId) };
+  });
+
+  // Matched entries without a status in the bulk listing are re-read one by one (in parallel) before deciding
+  const missingStatus = Array.from(new Set(matches.map(m => m.best.entry?.id).filter(id => id != null && !currentStatusById.get(id))));
+  await mapWithConcurrency(missingStatus, AFFINITY_CONCURRENCY, async (id) => {
+    const { label, optionId } = await fetchEntryStatus(list.listId, id, statusFieldId);
+    if (label) currentStatusById.set(id, label);
+    if (optionId != null) currentOptionIdById.set(id, optionId);
+  });
+
+  const currentOf = (id) => {
+    const label = String(currentStatusById.get(id) || "");
+    const optionId = currentOptionIdById.get(id) ?? null;
+    return { label, optionId, idx: pipeline.rankOf(optionId ?? labelToId.get(label.toLowerCase())) };
+  };
+
+  // Rows matching the same entry get one action, decided by the row with the most advanced derived stage (live
+  // stages before terminal outcomes, both before rows with no usable stage; the earlier row on a tie). That row
+  // also writes the entry's mapped fields; the others are reported as `merged` into it. An entry decided in an
+  // earlier batch (job chunk) only changes hands for a more advanced row.
+  const stageOf = (m) => (m.statusLabel && pipeline.isLocked(m.statusLabel) ? [1, 0] : m.derivedIdx != null ? [2, m.derivedIdx] : [0, 0]);
+  const ahead = (a, b) => a[0] - b[0] || a[1] - b[1];
+  const actions = new Map(); // entry id → { decider, prior, contributors: [{ row, statusLabel }] }
+  for (const m of matches) {
+    const id = m.best.entry?.id;
+    if (id == null) continue;
+    m.stage = stageOf(m);
+    if (!actions.has(id)) {
+      const prior = run.entryActions.get(`${list.listId}:${id}`);
+      actions.set(id, { decider: null, prior, contributors: [...(prior?.contributors || [])] });
+    }
+    const action = actions.get(id);
+    action.contributors.push({ row: m.rec.rowNumber, statusLabel: m.statusLabel || "" });
+    const leading = action.decider?.stage || action.prior?.stage;
+    if (!leading || ahead(m.stage, leading) > 0) action.decider = m;
+  }
+
+  // ?force=<row numbers>: downgrades approved for a row (or another row of the same entry) go through
+  const forcedFor = (action) => action.contributors.some(c => run.forceRows.includes(c.row));
+
+  // Live runs decide on the status each entry has now: the snapshot can be minutes old, and a lock stage set in
+  // Affinity since then must still win. Entries the snapshot says are about to be written are read again.
+  const unreadable = new Map(); // entry id → why its status couldn't be re-read
+  if (!isDryRun) {
+    const toWrite = Array.from(actions)
+      .filter(([id, { decider }]) => decider && !missingStatus.includes(id) && !pipeline.isLocked(currentOf(id).label)
+        && statusDecision(decider, currentOf(id), forcedFor(actions.get(id)), list, pipeline, statusField).outcome == null)
+      .map(([id]) => id);
+    await mapWithConcurrency(toWrite, AFFINITY_CONCURRENCY, async (id) => {
+      try {
+        const { label, optionId } = await fetchEntryStatus(list.listId, id, statusFieldId, { throwOnError: true });
+        currentStatusById.set(id, label);
+        if (optionId != null) currentOptionIdById.set(id, optionId); else currentOptionIdById.delete(id);
+      } catch (e) {
+        unreadable.set(id, e?.response?.data || e.message);
+      }
+    });
+  }
+
+  const accessWarnings = [];
+  for (const m of matches) {
+    const { rec, override, best, trace, derived, statusLabel, optionId, derivedIdx } = m;
+    const entry = best.entry;
+    const displayName = rec.orgCandidates[0] || rec.personCandidates[0] || rec.emailCandidates[0] || best.name || "";
+    const rowIdent = { row: rec.rowNumber, name: displayName, org: rec.orgCandidates[0] || "", contact: rec.personCandidates[0] || "", statusRule: derived.rule?.name };
+    if (explainAll) rowIdent.statusExplain = derived.trace;
+    if (rec.vehicles?.length) rowIdent.vehicles = rec.vehicles;
+    // Who accessed the data room and when, each contact placed on the entry they belong to
+    const dataRoom = dataRoomActivity(rec.raw);
+    if (dataRoom) rowIdent.dataRoom = { ...dataRoom, contacts: dataRoom.contacts.map(c => ({ ...c, match: matchContact(c.name, matchIndexes, entry) })) };
+    if (hasUnreadableAccessDate(rec.raw)) accessWarnings.push(`Row ${rec.rowNumber}: a data room access date couldn't be read; that access counts as none`);
+    // Unmatched and low-confidence rows show what the matcher considered and why each candidate lost
+    if (explainAll || !best.entry || best.score < LOW_CONFIDENCE_SCORE) {
+      if (trace.length) {
+        rowIdent.candidates = rankCandidates(trace);
+        rowIdent.explain = trace;
+      }
+    }
+
+    if (override && !entry) {
+      const reason = override.neverMatch ? "Never match (manual override)" : "The override's entry is not on this list";
+      results.push({ ...rowIdent, statusLabel, matched: false, outcome: 'unmatched', reason, overrideId: override.id });
+      continue;
+    }
+    if (!entry && createMissing) {
+      // Opt-in: create the organization/contacts and list entry for unmatched rows at or above the minimum stage
+      let proposal;
+      if (!statusLabel) proposal = { reason: `Status before minimum threshold (${list.minStatusLabel}); not creating` };
+      else if (!optionId) proposal = { reason: `Unknown status '${statusLabel}' for field '${statusField.name}'; not creating` };
+      else if (pipeline.isLocked(statusLabel)) proposal = { reason: `Terminal outcome ('${statusLabel}'); not creating` };
+      else if (derivedIdx == null) {
+        unplaced.add(statusLabel);
+        proposal = { reason: `Cannot place '${statusLabel}' in the pipeline order; not creating` };
+      } else if (derivedIdx < minIdx) proposal = { reason: `Status before minimum threshold (${list.minStatusLabel}); not creating` };
+      else proposal = proposeCreate(rec, trace, plannedCreates, list.listId);
+      if (!proposal.create) {
+        results.push({ ...rowIdent, statusLabel, matched: false, outcome: 'unmatched', reason: `No suitable org/person match; ${proposal.reason}` });
+        continue;
+      }
+      plannedCreates.set(proposal.key, rec.rowNumber);
+      // Mapped fields of a new entry are written right after it is created
+      const newFields = diffFieldValues(rec.raw, fieldMappings, null).filter(d => d.change).map(fieldWrite);
+      const fieldsOut = newFields.length ? { fields: newFields.map(f => ({ field: f.fieldName, column: f.column, previous: '', value: f.newLabel })) } : {};
+      const write = { kind: 'create', ...writeTarget, entryId: null, name: displayName, ...proposal.create, previousLabel: '', previousOptionId: null, newLabel: statusLabel, newOptionId: optionId, fields: newFields };
+      if (isDryRun) {
+        const writeId = nextWriteId(writes);
+        writes.push({ id: writeId, ...write });
+        results.push({ ...rowIdent, statusLabel, matched: false, updated: false, wouldCreate: true, outcome: 'would_create', planWriteId: writeId, reason: "No suitable org/person match; would create", ...fieldsOut });
+        continue;
+      }
+      const result = { ...rowIdent, statusLabel, matched: false, created: false, updated: false, ...fieldsOut };
+      results.push(result);
+      run.tasks.push(async () => {
+        try {
+          await carryOutCreate(write, writes, { onCreated: (created) => Object.assign(result, { entryId: created.entryId, created: true, outcome: 'created' }) });
+          result.updated = true;
+        } catch (e) {
+          result.outcome = 'error';
+          result.error = e?.response?.data || e.message;
+        }
+      });
+      continue;
+    }
+    if (!entry) {
+      results.push({ ...rowIdent, statusLabel, matched: false, outcome: 'unmatched', reason: "No suitable org/person match" });
+      continue;
+    }
+
+    // Hard lock: do not change if currently in a lock stage (Passed or synonyms)
+    const current = currentOf(entry.id);
+    const { label: currentLabel, optionId: currentOptionId } = current;
+    // What every matched row reports: the entry it matched, how, and the entry's status before this run
+    const matchOut = { matched: true, entryId: entry.id, entryName: entityDisplayName(entry.entity), currentStatus: currentLabel, updated: false };
+    const scoreOut = { matchType: best.type, score: Number(best.score.toFixed(3)) };
+    const action = actions.get(entry.id);
+    if (action.decider !== m) {
+      const into = action.decider?.rec.rowNumber ?? action.prior.row;
+      results.push({ ...rowIdent, statusLabel, ...matchOut, outcome: 'merged', mergedInto: into, reason: `Same entry as row ${into}, which decides its status`, ...scoreOut });
+      continue;
+    }
+    if (unreadable.has(entry.id)) {
+      results.push({ ...rowIdent, statusLabel, ...matchOut, outcome: 'error', error: unreadable.get(entry.id), reason: "Could not re-read the current status; not updating", ...scoreOut });
+      continue;
+    }
+    if (pipeline.isLocked(currentLabel)) {
+      results.push({ ...rowIdent, statusLabel, ...matchOut, outcome: 'locked', reason: `Currently '${currentLabel}'; no change`, ...scoreOut });
+      continue;
+    }
+
+    // Mapped fields follow their own write policies, independent of the status decision below
+    const fieldReport = syncFields(list, entry.id, displayName, rec.raw, fieldMappings, fieldValuesById.get(entry.id), run);
+    const fieldsOut = fieldReport.length ? { fields: fieldReport } : {};
+
+    const decision = statusDecision(m, current, forcedFor(action), list, pipeline, statusField);
+    if (decision.outcome) {
+      if (decision.unplaced) unplaced.add(decision.unplaced);
+      results.push({ ...rowIdent, statusLabel, ...matchOut, outcome: decision.outcome, reason: decision.reason, ...(decision.unknownStatus ? { knownOptions } : {}), ...scoreOut, ...fieldsOut });
+      continue;
+    }
+    const { transition } = decision;
+
+    // Terminal and forced writes carry their transition so plans and run history tell them apart from upgrades
+    const write = { ...writeTarget, entryId: entry.id, name: displayName, previousLabel: currentLabel, previousOptionId: currentOptionId, newLabel: statusLabel, newOptionId: optionId, ...(transition ? { transition } : {}) };
+    const [doneOutcome, plannedOutcome] = TRANSITION_OUTCOMES[transition || 'upgrade'];
+    const transitionOut = transition === 'terminal'
+      ? { reason: `Terminal outcome: '${currentLabel || "(empty)"}' → '${statusLabel}'` }
+      : transition === 'downgrade' ? { reason: `Forced downgrade from '${currentLabel}' to '${statusLabel}'` } : {};
+    if (isDryRun) {
+      const writeId = nextWriteId(writes);
+      writes.push({ id: writeId, ...write });
+      results.push({ ...rowIdent, statusLabel, ...matchOut, wouldUpdate: true, outcome: plannedOutcome, ...transitionOut, planWriteId: writeId, ...scoreOut, ...fieldsOut });
+      continue;
+    }
+
+    const result = { ...rowIdent, statusLabel, ...matchOut, ...transitionOut, ...scoreOut, ...fieldsOut };
+    results.push(result);
+    run.tasks.push(async () => {
+      try {
+        await updateStatus(list.listId, entry.id, statusFieldId, optionId, statusValueType);
+        writes.push(write);
+        Object.assign(result, { updated: true, outcome: doneOutcome });
+      } catch (e) {
+        result.outcome = 'error';
+        result.error = e?.response?.data || e.message;
+      }
+    });
+  }
+
+  // Each queued write catches its own error, so one failure never stops the others
+  await mapWithConcurrency(run.tasks, AFFINITY_CONCURRENCY, task => task());
+  settleEntryActions(list, actions, results, run);
+
+  // Reconciliation: this batch's disagreements, and the list's pipeline entries so finishSync can tell which
+  // of them no row matched
+  let reconcile;
+  if (run.reconcile) {
+    const rankOfLabel = (label) => pipeline.rankOf(resolveStatusOptionId(label, labelToId, list.labelAliases));
+    const ctx = {
+      minIdx,
+      signedIdx: rankOfLabel(RECONCILE_SIGNED_STATUS_LABEL) ?? -1,
+      isLocked: pipeline.isLocked,
+      rankOfLabel,
+      rankOfEntry: (id) => pipeline.rankOf(currentOptionIdById.get(id) ?? labelToId.get(String(currentStatusById.get(id) || "").toLowerCase()))
+    };
+    reconcile = { discrepancies: rowDiscrepancies(results, ctx), tracked: pipelineEntries(entries, currentStatusById, ctx) };
+  }
+
+  const pipelineWarnings = [
+    ...pipeline.warnings,
+    ...Array.from(unplaced).map(label => `Status '${label}' is not in the pipeline order (${pipeline.source}); rows with it were not updated`)
+  ];
+  return {
+    key: list.key,
+    listId: list.listId,
+    statusField: statusField.name,
+    snapshot: { fetchedAt: snapshot.fetchedAt, cached: snapshot.cached },
+    pipeline: { source: pipeline.source, order: pipeline.order },
+    pipelineWarnings: pipelineWarnings.length ? pipelineWarnings : undefined,
+    fieldWarnings: fieldWarnings.length ? fieldWarnings : undefined,
+    accessWarnings: accessWarnings.length ? accessWarnings : undefined,
+    total: rows.length,
+    results,
+    reconcile
+  };
+}
+
+// Parsed records → rows with org/person name candidates (rows with neither are dropped).
+// `rowNumber` is the record's 1-based position in the upload; results and the report carry it as `row`.
+export function rowsFromRecords(records) {
+  // Expect candidates separated into org vs person for type-safe matching
+  return records.map((r, i) => {
+    const orgCandidates = extractOrgCandidates(r);
+    const personCandidates = extractPersonCandidates(r);
+    return {
+      orgCandidates,
+      personCandidates,
+      emailCandidates: extractEmailCandidates(r),
+      vehicles: extractVehicles([...orgCandidates, ...personCandidates]),
+      raw: r,
+      rowNumber: i + 1
+    };
+  }).filter(r => r.orgCandidates.length || r.personCandidates.length || r.emailCandidates.length);
+}
+
+// Options and everything a sync has produced so far. Plain JSON, so a job can store it between chunks.
+export function newSyncState({ isDryRun, explainAll, createMissing, refreshSnapshots, reconcile, forceRows = [], caller, input, preflight, diff, baselineId, lockId, contentHash, uploadClaim }) {
+  return {
+    isDryRun, explainAll, createMissing, refreshSnapshots, reconcile, forceRows, caller, input, preflight, diff, baselineId, lockId, contentHash, uploadClaim,
+    total: 0,
+    listIds: [],
+    refreshedListIds: [],
+    writes: [],
+    plannedCreates: [],
+    entryActions: [],
+    lists: [],
+    unprocessed: 0,
+    failure: undefined
+  };
+}
+
+// Rows of a list already seen in an earlier batch are appended to that list's output
+function mergeList(state, out) {
+  const prev = state.lists.find(l => l.key === out.key && l.listId === out.listId);
+  if (!prev) { state.lists.push(out); return; }
+  const union = (a, b) => (a || b ? Array.from(new Set([...(a || []), ...(b || [])])) : undefined);
+  Object.assign(prev, {
+    snapshot: out.snapshot ?? prev.snapshot,
+    pipelineWarnings: union(prev.pipelineWarnings, out.pipelineWarnings),
+    fieldWarnings: union(prev.fieldWarnings, out.fieldWarnings),
+    accessWarnings: union(prev.accessWarnings, out.accessWarnings),
+    total: prev.total + out.total,
+    results: [...prev.results, ...out.results],
+    reconcile: out.reconcile && { discrepancies: [...(prev.reconcile?.discrepancies || []), ...out.reconcile.discrepancies], tracked: out.reconcile.tracked }
+  });
+}
+
+// Route, match, derive and (unless dry) write a batch of parsed rows, adding the outcome to `state`.
+// Several batches give the same outcome as one call with all the rows.
+export async function syncRows(rows, state) {
+  const routing = loadRouting();
+  const { groups, unrouted } = routeRows(rows, routing);
+  const run = {
+    isDryRun: state.isDryRun,
+    explainAll: state.explainAll,
+    createMissing: state.createMissing,
+    reconcile: state.reconcile,
+    forceRows: state.forceRows || [],
+    overrides: await listOverrides(),
+    statusRules: (await loadStatusRules()).rules,
+    writes: state.writes,
+    plannedCreates: new Map(state.plannedCreates),
+    // Entries already decided by an earlier batch, and a way to reach that batch's results
+    entryActions: new Map(state.entryActions || []),
+    findResult: (key, row) => state.lists.find(l => l.key === key)?.results.find(r => r.row === row)
+  };
+  const writesBefore = state.writes.length;
+  state.total += rows.length;
+  // A list that can't be read (after retries) stops the run. Writes already made for earlier lists are
+  // still recorded and listed in the response so nobody has to guess what went through.
+  for (const group of groups) {
+    const { listId } = group.list;
+    if (!state.listIds.includes(listId)) state.listIds.push(listId);
+    if (state.failure) { state.unprocessed += group.rows.length; continue; }
+    // Live runs hold the list's lock (taken by /api/upload, renewed for every batch)
+    const busy = state.lockId ? await holdListLocks([listId], state.lockId, { caller: state.caller }) : null;
+    if (busy) {
+      state.failure = { status: 409, data: lockedMessage(busy), list: group.list.key };
+      state.unprocessed += group.rows.length;
+      continue;
+    }
+    // ?refresh=1 re-reads each list once, not once per batch
+    run.refreshSnapshots = state.refreshSnapshots && !state.refreshedListIds.includes(listId);
+    try {
+      mergeList(state, await syncList(group.list, group.rows, run));
+      if (run.refreshSnapshots) state.refreshedListIds.push(listId);
+    } catch (e) {
+      state.failure = { status: e?.response?.status || 500, data: e?.response?.data || e.message, list: group.list.key };
+      state.unprocessed += group.rows.length;
+    }
+  }
+  if (unrouted.length) {
+    mergeList(state, {
+      key: null,
+      listId: null,
+      total: unrouted.length,
+      results: unrouted.map(({ row, value }) => ({ row: row.rowNumber, name: row.orgCandidates[0] || row.personCandidates[0] || row.emailCandidates[0] || "", matched: false, outcome: 'unmatched', reason: `No Affinity list configured for ${routing.column} '${value}'` }))
+    });
+  }
+  state.plannedCreates = Array.from(run.plannedCreates);
+  state.entryActions = Array.from(run.entryActions);
+  // Later batches (and runs) read the snapshots, so they must already reflect this batch's writes
+  if (!state.isDryRun) await updateSnapshotsAfterWrites(state.writes.slice(writesBefore));
+  return state;
+}
+
+// Row counts for progress reporting
+export function syncProgress(state) {
+  const results = state.lists.flatMap(l => l.results);
+  return {
+    processed: results.length,
+    matched: results.filter(r => r.matched).length,
+    written: results.filter(r => r.updated || r.created || r.fields?.some(f => f.updated)).length,
+    planned: results.filter(r => r.wouldUpdate || r.wouldCreate || r.fields?.some(f => f.wouldUpdate)).length,
+    failed: results.filter(r => r.error || r.fields?.some(f => f.error)).length,
+    unprocessed: state.unprocessed
+  };
+}
+
+// Save the plan (dry run), run (live) and results report, move the export baseline forward (live run without a
+// failure), and build the /api/upload response body.
+// `rows` are all the rows synced, for the report's original row fields.
+export async function finishSync(state, rows = []) {
+  const { isDryRun, caller, listIds, writes, lists, failure, unprocessed } = state;
+  if (state.lockId) await releaseListLocks(listIds, state.lockId).catch(() => {});
+  const results = lists.flatMap(l => l.results.map(r => ({ ...r, list: l.key })));
+  const warnings = lists.flatMap(l => [...(l.pipelineWarnings || []), ...(l.fieldWarnings || []), ...(l.accessWarnings || [])].map(w => (lists.length > 1 ? `${l.key}: ${w}` : w)));
+
+  // Dry run: store the exact proposed writes as a plan that /api/apply can carry out.
+  // Live run: record what was written so the run can be rolled back later.
+  let runId;
+  let plan;
+  let historyError;
+  const createdAt = new Date().toISOString();
+  try {
+    if (isDryRun) {
+      // A partial plan would look complete when applied; only whole plans are stored. Reconciliation stores none.
+      if (!failure && !state.reconcile) plan = await savePlan({ planId: newPlanId(), createdAt, caller, listIds, writes });
+    } else {
+      runId = newRunId();
+      await saveRun({ runId, createdAt, caller, listIds, writes });
+    }
+  } catch (e) {
+    runId = undefined;
+    plan = undefined;
+    historyError = e.message;
+  }
+  // The report is stored on its own so a failure to save it never hides the run or plan
+  let reportId;
+  let reportError;
+  try {
+    reportId = (await saveReport({ ...buildReport(rows, state), createdAt, caller, runId, planId: plan?.planId })).reportId;
+  } catch (e) {
+    reportError = e.message;
+  }
+  let baselineError;
+  if (!isDryRun && !failure && state.baselineId) {
+    // Settled: the derived status was written or was already there, with no failed field write. A merged row is
+    // settled when the row deciding its entry is. Every other processed row is tried again on the next upload.
+    const byRow = new Map(results.map(r => [r.row, r]));
+    const settled = (r) => Boolean(r) && !r.error && !r.fields?.some(f => f.error)
+      && (SETTLED_OUTCOMES.has(r.outcome) || (r.outcome === 'merged' && r.mergedInto !== r.row && settled(byRow.get(r.mergedInto))));
+    const unsettledRows = results.filter(r => !settled(r)).map(r => r.row);
+    try {
+      await commitBaseline(state.baselineId, unsettledRows);
+    } catch (e) {
+      baselineError = e.message;
+    }
+  }
+
+  return {
+    ok: !failure,
+    error: failure,
+    unprocessed: failure ? unprocessed : undefined,
+    completedWrites: failure && !isDryRun ? redactIdentities(writes) : undefined,
+    caller,
+    contentHash: state.contentHash,
+    runId,
+    planId: plan?.planId,
+    plan: plan ? redactIdentities(plan.writes) : undefined,
+    historyError,
+    reportId,
+    reportError,
+    baselineError,
+    warnings: warnings.length ? warnings : undefined,
+    input: state.input,
+    preflight: state.preflight,
+    diff: state.diff,
+    reconcile: state.reconcile ? finishReconcile(lists) : undefined,
+    total: state.total,
+    results: redact(results),
+    lists: lists.map(({ reconcile, ...l }) => ({ ...l, results: redact(l.results) }))
+  };
+}
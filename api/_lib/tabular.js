@@ -0,0 +1,112 @@
+import { parse } from "csv-parse/sync";
+import { isXlsx, readXlsx } from "./xlsx.js";
+
+// Uploaded file → records keyed by header, whatever Excel did to the JSQ export: .xlsx, UTF-16 or BOM-prefixed
+// text, ';' / tab / '|' delimiters, or title lines above the header row. `input` reports what was detected.
+const DELIMITERS = [",", ";", "\t", "|"];
+// Columns a JSQ export header has; the header row is the early row naming the most of them
+const KNOWN_COLUMNS = [
+  "organization", "firm", "company", "name", "investor name", "lp name", "contacts", "contact",
+  "subscription status", "subscription", "prospect status", "latest update",
+  "data room granted", "data room last accessed", "data room access detail", "offering", "fund", "email", "emails",
+  "contact email", "investor email", "email address"
+];
+const HEADER_SCAN_ROWS = 20;
+
+function isLegacyXls(buffer) {
+  return buffer.length > 8 && buffer.readUInt32LE(0) === 0xe011cfd0 && buffer.readUInt32LE(4) === 0xe11ab1a1;
+}
+
+// BOM first, then the zero-byte pattern of BOM-less UTF-16, then strict UTF-8, else Windows-1252
+export function decodeText(buffer) {
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) return { text: buffer.subarray(3).toString("utf8"), encoding: "utf-8 (BOM)" };
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return { text: new TextDecoder("utf-16le").decode(buffer.subarray(2)), encoding: "utf-16le" };
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return { text: new TextDecoder("utf-16be").decode(buffer.subarray(2)), encoding: "utf-16be" };
+  const sample = buffer.subarray(0, 2000);
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < sample.length; i++) if (sample[i] === 0) (i % 2 ? oddZeros++ : evenZeros++);
+  const half = sample.length / 2;
+  if (half && oddZeros > half * 0.3 && evenZeros < half * 0.05) return { text: new TextDecoder("utf-16le").decode(buffer), encoding: "utf-16le" };
+  if (half && evenZeros > half * 0.3 && oddZeros < half * 0.05) return { text: new TextDecoder("utf-16be").decode(buffer), encoding: "utf-16be" };
+  try {
+    return { text: new TextDecoder("utf-8", { fatal: true }).decode(buffer), encoding: "utf-8" };
+  } catch {
+    return { text: new TextDecoder("windows-1252").decode(buffer), encoding: "windows-1252" };
+  }
+}
+
+// Delimiter count per line, ignoring quoted text (quoted values spanning lines only skew the sample)
+function countOutsideQuotes(line, delimiter) {
+  let inQuotes = false;
+  let n = 0;
+  for (const ch of line) {
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (ch === delimiter && !inQuotes) n++;
+  }
+  return n;
+}
+
+// The candidate splitting the most sample lines into the same (non-zero) number of cells; ',' on a tie
+export function detectDelimiter(text) {
+  const lines = text.split(/\r\n|\n|\r/).filter(l => l.trim()).slice(0, 50);
+  let best = { delimiter: ",", score: 0 };
+  for (const delimiter of DELIMITERS) {
+    const counts = lines.map(l => countOutsideQuotes(l, delimiter)).filter(n => n > 0);
+    if (!counts.length) continue;
+    const freq = new Map();
+    for (const n of counts) freq.set(n, (freq.get(n) || 0) + 1);
+    const [mode, hits] = Array.from(freq).sort((a, b) => b[1] - a[1] || b[0] - a[0])[0];
+    const score = hits * Math.log2(mode + 1);
+    if (score > best.score) best = { delimiter, score };
+  }
+  return best.delimiter;
+}
+
+const norm = (v) => String(v ?? "").replace(/^\uFEFF/, "").trim().toLowerCase();
+
+// Index of the header row: the early row with the most known column names (plus `extra`, e.g. a column-mapping
+// profile's headers), else the first non-empty row
+export function detectHeaderRow(rows, extra = []) {
+  const known = new Set([...KNOWN_COLUMNS, ...extra.map(norm)]);
+  let best = { index: -1, hits: 0 };
+  for (let i = 0; i < Math.min(rows.length, HEADER_SCAN_ROWS); i++) {
+    const hits = (rows[i] || []).filter(cell => known.has(norm(cell))).length;
+    if (hits > best.hits) best = { index: i, hits };
+  }
+  if (best.index !== -1) return best.index;
+  return Math.max(0, rows.findIndex(r => (r || []).some(cell => norm(cell))));
+}
+
+function headerOf(rows, headerIndex) {
+  return (rows[headerIndex] || []).map(h => String(h ?? "").replace(/^\uFEFF/, "").trim());
+}
+
+// Rows after the header become records; blank rows are skipped and unnamed columns dropped
+function toRecords(rows, headerIndex) {
+  const header = headerOf(rows, headerIndex);
+  const records = [];
+  for (const row of rows.slice(headerIndex + 1)) {
+    if (!(row || []).some(cell => String(cell ?? "").trim())) continue;
+    const record = {};
+    header.forEach((name, i) => { if (name) record[name] = row[i] ?? ""; });
+    records.push(record);
+  }
+  return records;
+}
+
+// → { records, headers, input: { format, encoding?, delimiter?, sheet?, headerRow (1-based line/row number) } }.
+// `knownColumns` adds header names to look for; `maxUnpackedBytes` caps what an .xlsx may unpack to. Throws on unreadable files.
+export function parseTable(buffer, { knownColumns = [], maxUnpackedBytes } = {}) {
+  if (isLegacyXls(buffer)) throw new Error("Legacy .xls workbooks are not supported; save as .xlsx or CSV");
+  if (isXlsx(buffer)) {
+    const { sheet, rows } = readXlsx(buffer, { maxBytes: maxUnpackedBytes });
+    const headerIndex = detectHeaderRow(rows, knownColumns);
+    return { records: toRecords(rows, headerIndex), headers: headerOf(rows, headerIndex), input: { format: "xlsx", sheet, headerRow: headerIndex + 1 } };
+  }
+  const { text, encoding } = decodeText(buffer);
+  const delimiter = detectDelimiter(text);
+  const rows = parse(text, { delimiter, relax_column_count: true, relax_quotes: true, skip_empty_lines: false });
+  const headerIndex = detectHeaderRow(rows, knownColumns);
+  return { records: toRecords(rows, headerIndex), headers: headerOf(rows, headerIndex), input: { format: "csv", encoding, delimiter, headerRow: headerIndex + 1 } };
+}
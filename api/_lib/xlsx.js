@@ -0,0 +1,235 @@
+import zlib from "zlib";
+
+// Minimal .xlsx reader: the first worksheet as rows of cell text. An .xlsx file is a zip of XML parts,
+// so this needs only zlib — enough for exports re-saved in Excel (no formulas evaluated, no formatting kept).
+export function isXlsx(buffer) {
+  return buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50;
+}
+
+// Zip entries by name (stored or deflated; no zip64). `maxBytes` caps what the parts read unpack to in total,
+// so a small, highly compressed upload can't inflate into gigabytes
+function unzip(buffer, { maxBytes = Infinity } = {}) {
+  let unpacked = 0;
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65_557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd === -1) throw new Error("not a valid .xlsx (zip) file");
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const files = new Map();
+  for (let n = 0; n < count; n++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error("corrupt .xlsx (zip) directory");
+    const method = buffer.readUInt16LE(offset + 10);
+    const size = buffer.readUInt32LE(offset + 20);
+    const nameLen = buffer.readUInt16LE(offset + 28);
+    const extraLen = buffer.readUInt16LE(offset + 30);
+    const commentLen = buffer.readUInt16LE(offset + 32);
+    const local = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLen);
+    offset += 46 + nameLen + extraLen + commentLen;
+    files.set(name, () => {
+      const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+      const data = buffer.subarray(start, start + size);
+      if (method !== 0 && method !== 8) throw new Error(`unsupported zip compression method ${method}`);
+      const tooLarge = () => new Error(`.xlsx unpacks to more than ${maxBytes} bytes`);
+      let out = data;
+      if (method === 8) {
+        try {
+          out = zlib.inflateRawSync(data, Number.isFinite(maxBytes) ? { maxOutputLength: Math.max(1, maxBytes - unpacked) } : {});
+        } catch (e) {
+          if (e.code === "ERR_BUFFER_TOO_LARGE") throw tooLarge();
+          throw e;
+        }
+      }
+      unpacked += out.length;
+      if (unpacked > maxBytes) throw tooLarge();
+      return out.toString("utf8");
+    });
+  }
+  return { read: (name) => files.get(name)?.() ?? null };
+}
+
+function unescapeXml(s) {
+  return String(s)
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(Number(d)))
+    .replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, "&");
+}
+
+// Text of every <t> inside an element (plain and rich-text runs), skipping phonetic hints
+function textOf(xml) {
+  const out = [];
+  for (const m of String(xml).replace(/<rPh\b[\s\S]*?<\/rPh>/g, "").matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>|<t(?:\s[^>]*)?\/>/g)) out.push(unescapeXml(m[1] || ""));
+  return out.join("");
+}
+
+function attr(tag, name) {
+  const m = new RegExp(`\\s${name}="([^"]*)"`).exec(tag);
+  return m ? unescapeXml(m[1]) : undefined;
+}
+
+// Built-in date formats (14–22, 45–47) or custom formats with day/month/year tokens outside quotes and brackets
+const BUILTIN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+function dateStyles(stylesXml) {
+  const custom = new Map();
+  for (const m of String(stylesXml || "").matchAll(/<numFmt\b[^>]*>/g)) {
+    custom.set(Number(attr(m[0], "numFmtId")), attr(m[0], "formatCode") || "");
+  }
+  const xfs = /<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/.exec(String(stylesXml || ""))?.[1] || "";
+  return Array.from(xfs.matchAll(/<xf\b[^>]*>/g)).map(m => {
+    const id = Number(attr(m[0], "numFmtId") || 0);
+    if (BUILTIN_DATE_FORMATS.has(id)) return true;
+    const code = (custom.get(id) || "").replace(/"[^"]*"|\[[^\]]*\]|\\./g, "");
+    return /[dmy]/i.test(code);
+  });
+}
+
+// Excel serial day → "YYYY-MM-DD" (with the time when there is one)
+function serialToDate(serial, date1904) {
+  const base = date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, 30);
+  const d = new Date(base + Math.round(serial * 86_400_000));
+  const iso = d.toISOString();
+  return serial % 1 ? `${iso.slice(0, 10)} ${iso.slice(11, 16)}` : iso.slice(0, 10);
+}
+
+function columnIndex(ref) {
+  const letters = /^[A-Z]+/.exec(ref || "")?.[0] || "";
+  let n = 0;
+  for (const ch of letters) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n - 1;
+}
+
+// → { sheet, rows: [[cell text, ...], ...] } for the first worksheet. Throws when the parts read unpack to more than `maxBytes`
+export function readXlsx(buffer, { maxBytes } = {}) {
+  const zip = unzip(buffer, { maxBytes });
+  const workbook = zip.read("xl/workbook.xml");
+  if (!workbook) throw new Error("no workbook in .xlsx file");
+  const firstSheet = /<sheet\b[^>]*>/.exec(workbook)?.[0];
+  if (!firstSheet) throw new Error("workbook has no sheets");
+  const relId = attr(firstSheet, "r:id");
+  const rels = zip.read("xl/_rels/workbook.xml.rels") || "";
+  const rel = Array.from(rels.matchAll(/<Relationship\b[^>]*>/g)).map(m => m[0]).find(tag => attr(tag, "Id") === relId);
+  const target = rel ? attr(rel, "Target") : "worksheets/sheet1.xml";
+  const sheetPath = target.startsWith("/") ? target.slice(1) : `xl/${target}`;
+  const sheetXml = zip.read(sheetPath);
+  if (!sheetXml) throw new Error(`worksheet ${sheetPath} missing from .xlsx file`);
+
+  const shared = Array.from((zip.read("xl/sharedStrings.xml") || "").matchAll(/<si>([\s\S]*?)<\/si>/g)).map(m => textOf(m[1]));
+  const isDateStyle = dateStyles(zip.read("xl/styles.xml"));
+  const date1904 = /<workbookPr\b[^>]*date1904="(?:1|true)"/.test(workbook);
+
+  const rows = [];
+  for (const rowMatch of sheetXml.matchAll(/<row\b([^>]*)>([\s\S]*?)<\/row>|<row\b([^>]*)\/>/g)) {
+    const rowNumber = Number(attr(`<row${rowMatch[1] || rowMatch[3]}>`, "r")) || rows.length + 1;
+    const cells = [];
+    for (const c of (rowMatch[2] || "").matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const tag = `<c${c[1]}>`;
+      const type = attr(tag, "t");
+      const inner = c[2] || "";
+      const raw = /<v>([\s\S]*?)<\/v>/.exec(inner)?.[1];
+      let text = "";
+      if (type === "s") text = shared[Number(raw)] ?? "";
+      else if (type === "inlineStr") text = textOf(inner);
+      else if (type === "b") text = raw === "1" ? "TRUE" : "FALSE";
+      else if (raw != null) {
+        const value = unescapeXml(raw);
+        const num = Number(value);
+        text = type !== "str" && type !== "e" && Number.isFinite(num) && isDateStyle[Number(attr(tag, "s") || 0)] ? serialToDate(num, date1904) : value;
+      }
+      const ref = attr(tag, "r");
+      cells[ref ? columnIndex(ref) : cells.length] = text;
+    }
+    rows[rowNumber - 1] = Array.from(cells, v => v ?? "");
+  }
+  return { sheet: attr(firstSheet, "name"), rows: Array.from(rows, r => r || []) };
+}
+
+// CRC-32 for zip entries (zlib.crc32 needs Node 22)
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+function crc32(buffer) {
+  let c = 0xffffffff;
+  for (const byte of buffer) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function zip(files) {
+  const locals = [];
+  const central = [];
+  let offset = 0;
+  for (const [name, content] of files) {
+    const data = Buffer.from(content, "utf8");
+    const packed = zlib.deflateRawSync(data);
+    const nameBuf = Buffer.from(name, "utf8");
+    const crc = crc32(data);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(packed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4);
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt32LE(crc, 16);
+    entry.writeUInt32LE(packed.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(nameBuf.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    locals.push(local, nameBuf, packed);
+    central.push(entry, nameBuf);
+    offset += local.length + nameBuf.length + packed.length;
+  }
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+function escapeXml(s) {
+  // Control characters other than tab/newline are not allowed in XML
+  return String(s).replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+function columnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+}
+
+// One-sheet workbook: the first row is a bold header; numbers stay numbers, everything else is inline text
+export function writeXlsx(sheetName, rows) {
+  const sheetRows = rows.map((row, r) => {
+    const cells = row.map((value, c) => {
+      const ref = `${columnName(c)}${r + 1}`;
+      const style = r === 0 ? ' s="1"' : "";
+      if (value == null || value === "") return "";
+      if (typeof value === "number" && Number.isFinite(value)) return `<c r="${ref}"${style}><v>${value}</v></c>`;
+      return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+    }).join("");
+    return `<row r="${r + 1}">${cells}</row>`;
+  }).join("");
+  const safeName = escapeXml(String(sheetName || "Sheet1").replace(/[\\/?*[\]:]/g, " ").slice(0, 31));
+  const ns = 'xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"';
+  const rel = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+  return zip([
+    ["[Content_Types].xml", `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/></Types>`],
+    ["_rels/.rels", `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${rel}/officeDocument" Target="xl/workbook.xml"/></Relationships>`],
+    ["xl/workbook.xml", `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><workbook ${ns} xmlns:r="${rel}"><sheets><sheet name="${safeName}" sheetId="1" r:id="rId1"/></sheets></workbook>`],
+    ["xl/_rels/workbook.xml.rels", `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${rel}/worksheet" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Type="${rel}/styles" Target="styles.xml"/></Relationships>`],
+    ["xl/styles.xml", `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><styleSheet ${ns}><fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border/></borders><cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs><cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs></styleSheet>`],
+    ["xl/worksheets/sheet1.xml", `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><worksheet ${ns}><sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews><sheetData>${sheetRows}</sheetData></worksheet>`]
+  ]);
+}
@@ -0,0 +1,110 @@
+import { fetchEntryStatus, fetchEntryFieldValue, updateStatus, updateFieldValue } from "./_lib/affinity.js";
+import { API_KEY_CONFIG_ERROR, authenticate, missingScope } from "./_lib/auth.js";
+import { carryOutCreate } from "./_lib/create.js";
+import { AFFINITY_CONCURRENCY, mapWithConcurrency } from "./_lib/concurrency.js";
+import { sameFieldValue, fieldValueLabel } from "./_lib/fields.js";
+import { readJsonBody, redactIdentities } from "./_lib/http.js";
+import { getPlan, savePlan } from "./_lib/plans.js";
+import { newRunId, saveRun } from "./_lib/runs.js";
+import { updateSnapshotsAfterWrites } from "./_lib/snapshots.js";
+import { newLockId, holdListLocks, releaseListLocks, lockedMessage } from "./_lib/locks.js";
+
+// POST { planId, ids? } → carry out the writes of a stored dry-run plan (all, or the chosen write ids).
+// Writes whose entry changed in Affinity since the plan was made are skipped, not re-derived.
+export default async function handler(req, res) {
+  let locks = null;
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (req.method !== "POST") return res.status(405).json({ ok: false, error: "Use POST" });
+    if (!process.env.AFFINITY_V2_TOKEN) return res.status(500).json({ ok: false, error: "Missing AFFINITY_V2_TOKEN" });
+
+    const caller = authenticate(req);
+    if (!caller) return res.status(API_KEY_CONFIG_ERROR ? 500 : 401).json({ ok: false, error: API_KEY_CONFIG_ERROR || "Unauthorized" });
+    const denied = missingScope(caller, 'write');
+    if (denied) return res.status(403).json({ ok: false, error: denied });
+
+    const body = (await readJsonBody(req, 100_000)) || {};
+    const plan = await getPlan(body.planId);
+    if (!plan) return res.status(404).json({ ok: false, error: "Unknown or expired planId" });
+
+    const wanted = Array.isArray(body.ids) ? new Set(body.ids.map(String)) : null;
+    const selected = (plan.writes || []).filter(w => !wanted || wanted.has(String(w.id)));
+
+    // Like a live upload, the plan's lists are locked while its writes run
+    const lockId = newLockId();
+    const listIds = Array.from(new Set(selected.map(w => w.listId)));
+    const busy = await holdListLocks(listIds, lockId, { caller: caller.identity, startedAt: new Date().toISOString() });
+    if (busy) return res.status(409).json({ ok: false, error: lockedMessage(busy) });
+    locks = { listIds, lockId };
+
+    const runId = newRunId();
+    const writes = [];
+    // Writes run AFFINITY_CONCURRENCY at a time; every failure stays on its own item so the run records exactly what went through
+    const results = await mapWithConcurrency(selected, AFFINITY_CONCURRENCY, async (w) => {
+      const base = { id: w.id, entryId: w.entryId, name: w.name, field: w.fieldName, from: w.previousLabel, to: w.newLabel };
+      if (w.appliedAt) {
+        return { ...base, updated: false, reason: `Already applied in ${w.runId}` };
+      }
+      if (w.kind === 'create') {
+        // New entities: creation re-checks Affinity for exact-name matches and reuses them
+        try {
+          const created = await carryOutCreate(w, writes);
+          w.entryId = created.entryId;
+          w.appliedAt = new Date().toISOString();
+          w.runId = runId;
+          return { ...base, entryId: created.entryId, created: true, updated: true };
+        } catch (e) {
+          return { ...base, created: false, updated: false, error: e?.response?.data || e.message };
+        }
+      }
+      if (w.kind === 'field') {
+        let currentValue;
+        try {
+          currentValue = await fetchEntryFieldValue(w.listId, w.entryId, w.fieldId);
+        } catch (e) {
+          return { ...base, updated: false, error: e?.response?.data || e.message };
+        }
+        if (!sameFieldValue(w.fieldKind, currentValue, w.previousValue)) {
+          return { ...base, updated: false, reason: `Changed in Affinity since the plan (now '${fieldValueLabel(w.fieldKind, currentValue)}')` };
+        }
+      } else {
+        let current;
+        try {
+          current = await fetchEntryStatus(w.listId, w.entryId, w.statusFieldId, { throwOnError: true });
+        } catch (e) {
+          return { ...base, updated: false, error: e?.response?.data || e.message };
+        }
+        if (String(current.optionId ?? '') !== String(w.previousOptionId ?? '')) {
+          return { ...base, updated: false, reason: `Changed in Affinity since the plan (now '${current.label}')` };
+        }
+      }
+      try {
+        if (w.kind === 'field') await updateFieldValue(w.listId, w.entryId, w.fieldId, w.valueType, w.newValue);
+        else await updateStatus(w.listId, w.entryId, w.statusFieldId, w.newOptionId, w.statusValueType);
+        const { id, ...write } = w;
+        writes.push(write);
+        w.appliedAt = new Date().toISOString();
+        w.runId = runId;
+        return { ...base, updated: true };
+      } catch (e) {
+        return { ...base, updated: false, error: e?.response?.data || e.message };
+      }
+    });
+
+    if (writes.length) {
+      await saveRun({ runId, planId: plan.planId, createdAt: new Date().toISOString(), caller: caller.identity, plannedBy: plan.caller, listIds: plan.listIds, writes });
+      await savePlan(plan);
+      await updateSnapshotsAfterWrites(writes);
+    }
+    await releaseListLocks(listIds, lockId).catch(() => {});
+    locks = null;
+
+    return res.status(200).json({ ok: true, planId: plan.planId, caller: caller.identity, runId: writes.length ? runId : undefined, total: results.length, results: redactIdentities(results) });
+  } catch (e) {
+    if (locks) await releaseListLocks(locks.listIds, locks.lockId).catch(() => {});
+    const status = e?.response?.status || 500;
+    const data = e?.response?.data || e.message;
+    return res.status(500).json({ ok: false, error: { status, data } });
+  }
+}
@@ -0,0 +1,29 @@
+import { API_KEY_CONFIG_ERROR, authenticate, missingScope } from "./_lib/auth.js";
+import { queryParam } from "./_lib/http.js";
+import { advanceJob, publicJob } from "./_lib/jobs.js";
+
+// GET ?id=<jobId> → job status and progress (rows matched/written/failed); `result` is the /api/upload response once done.
+// Each poll also runs the job's next step, so keep polling until status is "done".
+export default async function handler(req, res) {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (req.method !== "GET") return res.status(405).json({ ok: false, error: "Use GET" });
+    if (!process.env.AFFINITY_V2_TOKEN) return res.status(500).json({ ok: false, error: "Missing AFFINITY_V2_TOKEN" });
+
+    const caller = authenticate(req);
+    if (!caller) return res.status(API_KEY_CONFIG_ERROR ? 500 : 401).json({ ok: false, error: API_KEY_CONFIG_ERROR || "Unauthorized" });
+    const denied = missingScope(caller, 'dry-run');
+    if (denied) return res.status(403).json({ ok: false, error: denied });
+
+    const jobId = queryParam(req, 'id');
+    if (!jobId) return res.status(400).json({ ok: false, error: "Missing id" });
+    const job = await advanceJob(jobId);
+    if (!job) return res.status(404).json({ ok: false, error: "Unknown jobId" });
+    return res.status(200).json({ ok: true, job: publicJob(job) });
+  } catch (e) {
+    const status = e?.response?.status || 500;
+    const data = e?.response?.data || e.message;
+    return res.status(500).json({ ok: false, error: { status, data } });
+  }
+}
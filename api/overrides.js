@@ -0,0 +1,38 @@
+import { API_KEY_CONFIG_ERROR, authenticate, missingScope } from "./_lib/auth.js";
+import { readJsonBody, queryParam } from "./_lib/http.js";
+import { listOverrides, addOverride, deleteOverride } from "./_lib/overrides.js";
+
+// GET → all overrides; POST { org?, contact?, entryId? | neverMatch: true, listId?, note? } → add; DELETE ?id= → remove
+export default async function handler(req, res) {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+    const caller = authenticate(req);
+    if (!caller) return res.status(API_KEY_CONFIG_ERROR ? 500 : 401).json({ ok: false, error: API_KEY_CONFIG_ERROR || "Unauthorized" });
+    // Overrides decide what live syncs match, so adding or removing one needs write
+    const denied = missingScope(caller, req.method === "GET" ? 'dry-run' : 'write');
+    if (denied) return res.status(403).json({ ok: false, error: denied });
+
+    if (req.method === "GET") {
+      return res.status(200).json({ ok: true, overrides: await listOverrides() });
+    }
+    if (req.method === "POST") {
+      const body = (await readJsonBody(req, 100_000)) || {};
+      try {
+        const override = await addOverride(body, caller.identity);
+        return res.status(200).json({ ok: true, override });
+      } catch (e) {
+        return res.status(400).json({ ok: false, error: e.message });
+      }
+    }
+    if (req.method === "DELETE") {
+      const id = queryParam(req, 'id');
+      if (!id) return res.status(400).json({ ok: false, error: "Missing id" });
+      const removed = await deleteOverride(id);
+      if (!removed) return res.status(404).json({ ok: false, error: "Unknown override id" });
+      return res.status(200).json({ ok: true, id });
+    }
+    return res.status(405).json({ ok: false, error: "Use GET, POST or DELETE" });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: { status: 500, data: e.message } });
+  }
+}
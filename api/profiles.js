@@ -0,0 +1,71 @@
+import { parse } from "csv-parse/sync";
+import { API_KEY_CONFIG_ERROR, authenticate, missingScope } from "./_lib/auth.js";
+import { readJsonBody, queryParam } from "./_lib/http.js";
+import { listProfiles, getProfile, saveProfile, deleteProfile, validateProfile, preflightHeaders } from "./_lib/profiles.js";
+import { loadStatusRules } from "./_lib/rules.js";
+import { loadRouting } from "./_lib/lists.js";
+
+// GET → all column-mapping profiles (?name= → one)
+// POST { headers | csv, name? | profile? } → preflight of a header row against a saved (or unsaved) profile
+// PUT { name, columns, required?, ignore?, description? } → save a profile; DELETE ?name= → remove one
+export default async function handler(req, res) {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+    const caller = authenticate(req);
+    if (!caller) return res.status(API_KEY_CONFIG_ERROR ? 500 : 401).json({ ok: false, error: API_KEY_CONFIG_ERROR || "Unauthorized" });
+    // Preflight and reading profiles need dry-run; saving or deleting one needs admin
+    const denied = missingScope(caller, req.method === "GET" || req.method === "POST" ? 'dry-run' : 'admin');
+    if (denied) return res.status(403).json({ ok: false, error: denied });
+
+    if (req.method === "GET") {
+      const name = queryParam(req, 'name');
+      if (!name) return res.status(200).json({ ok: true, profiles: await listProfiles() });
+      const profile = await getProfile(name);
+      if (!profile) return res.status(404).json({ ok: false, error: "Unknown profile" });
+      return res.status(200).json({ ok: true, profile });
+    }
+    if (req.method === "POST") {
+      const body = (await readJsonBody(req, 200_000)) || {};
+      // A header line is enough; any rows after it are ignored
+      let headers = null;
+      if (Array.isArray(body.headers)) headers = body.headers.map(String);
+      else if (body.csv) {
+        try {
+          headers = parse(String(body.csv), { to_line: 1, relax_column_count: true })[0];
+        } catch (e) {
+          return res.status(400).json({ ok: false, error: `Could not read the header line: ${e.message}` });
+        }
+      }
+      if (!headers || !headers.length) return res.status(400).json({ ok: false, error: "Provide headers (array) or csv (header line)" });
+      let profile;
+      if (body.profile) {
+        try { validateProfile(body.profile); } catch (e) { return res.status(400).json({ ok: false, error: e.message }); }
+        profile = body.profile;
+      } else {
+        profile = await getProfile(body.name);
+        if (!profile) return res.status(404).json({ ok: false, error: "Unknown profile" });
+      }
+      const preflight = preflightHeaders(headers, profile, { rules: (await loadStatusRules()).rules, routing: loadRouting() });
+      return res.status(200).json({ ok: true, preflight });
+    }
+    if (req.method === "PUT") {
+      const body = (await readJsonBody(req, 200_000)) || {};
+      try {
+        const profile = await saveProfile(body, caller.identity);
+        return res.status(200).json({ ok: true, profile });
+      } catch (e) {
+        return res.status(400).json({ ok: false, error: e.message });
+      }
+    }
+    if (req.method === "DELETE") {
+      const name = queryParam(req, 'name');
+      if (!name) return res.status(400).json({ ok: false, error: "Missing name" });
+      const removed = await deleteProfile(name);
+      if (!removed) return res.status(404).json({ ok: false, error: "Unknown profile" });
+      return res.status(200).json({ ok: true });
+    }
+    return res.status(405).json({ ok: false, error: "Use GET, POST, PUT or DELETE" });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: { status: 500, data: e.message } });
+  }
+}
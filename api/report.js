@@ -0,0 +1,29 @@
+import { API_KEY_CONFIG_ERROR, authenticate, missingScope } from "./_lib/auth.js";
+import { queryParam } from "./_lib/http.js";
+import { REPORT_FORMATS, getReport, sendReport } from "./_lib/report.js";
+
+// GET ?id=<reportId>&format=csv|xlsx (default csv) → the results report of an upload or job as a file download;
+// format=json → { columns, lines } as JSON (the UI's row detail panel reads the original row values from it).
+// Every /api/upload response (and a finished job's result) carries its reportId.
+export default async function handler(req, res) {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (req.method !== "GET") return res.status(405).json({ ok: false, error: "Use GET" });
+    const caller = authenticate(req);
+    if (!caller) return res.status(API_KEY_CONFIG_ERROR ? 500 : 401).json({ ok: false, error: API_KEY_CONFIG_ERROR || "Unauthorized" });
+    const denied = missingScope(caller, 'dry-run');
+    if (denied) return res.status(403).json({ ok: false, error: denied });
+
+    const reportId = queryParam(req, 'id');
+    if (!reportId) return res.status(400).json({ ok: false, error: "Missing id" });
+    const format = queryParam(req, 'format') || 'csv';
+    if (format !== 'json' && !REPORT_FORMATS.includes(format)) return res.status(400).json({ ok: false, error: "format must be csv, xlsx or json" });
+    const report = await getReport(reportId);
+    if (!report) return res.status(404).json({ ok: false, error: "Unknown or expired reportId" });
+    if (format === 'json') return res.status(200).json({ ok: true, report });
+    return sendReport(res, report, format);
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: { status: 500, data: e.message } });
+  }
+}
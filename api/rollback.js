@@ -0,0 +1,113 @@
+import { fetchEntryStatus, fetchEntryFieldValue, updateStatus, updateFieldValue } from "./_lib/affinity.js";
+import { API_KEY_CONFIG_ERROR, authenticate, missingScope } from "./_lib/auth.js";
+import { AFFINITY_CONCURRENCY, mapWithConcurrency } from "./_lib/concurrency.js";
+import { sameFieldValue, fieldValueLabel } from "./_lib/fields.js";
+import { readJsonBody, queryParam, redactIdentities } from "./_lib/http.js";
+import { getRun, saveRun } from "./_lib/runs.js";
+import { updateSnapshotsAfterWrites } from "./_lib/snapshots.js";
+import { newLockId, holdListLocks, releaseListLocks, lockedMessage } from "./_lib/locks.js";
+
+// POST { runId, entryIds? } → restore the previous status (and mapped field values) of every (or the chosen) entry written by a run.
+// Values changed in Affinity since the run are skipped.
+export default async function handler(req, res) {
+  let locks = null;
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (req.method !== "POST") return res.status(405).json({ ok: false, error: "Use POST" });
+    if (!process.env.AFFINITY_V2_TOKEN) return res.status(500).json({ ok: false, error: "Missing AFFINITY_V2_TOKEN" });
+
+    const caller = authenticate(req);
+    if (!caller) return res.status(API_KEY_CONFIG_ERROR ? 500 : 401).json({ ok: false, error: API_KEY_CONFIG_ERROR || "Unauthorized" });
+
+    const isDryRun = queryParam(req, 'dry') === '1';
+    const denied = missingScope(caller, isDryRun ? 'dry-run' : 'write');
+    if (denied) return res.status(403).json({ ok: false, error: denied });
+    const body = (await readJsonBody(req, 100_000)) || {};
+    const run = await getRun(body.runId);
+    if (!run) return res.status(404).json({ ok: false, error: "Unknown runId" });
+
+    const wanted = Array.isArray(body.entryIds) && body.entryIds.length ? new Set(body.entryIds.map(String)) : null;
+    const writes = (run.writes || []).filter(w => !wanted || wanted.has(String(w.entryId)));
+
+    if (!isDryRun) {
+      const lockId = newLockId();
+      const listIds = Array.from(new Set(writes.map(w => w.listId ?? run.listId)));
+      const busy = await holdListLocks(listIds, lockId, { caller: caller.identity, startedAt: new Date().toISOString() });
+      if (busy) return res.status(409).json({ ok: false, error: lockedMessage(busy) });
+      locks = { listIds, lockId };
+    }
+
+    // A run can write the same value more than once (a later job batch moving an entry further): those writes are
+    // restored together, checking the value against the last one and putting back the value before the first
+    const groups = new Map();
+    for (const w of writes) {
+      const key = `${w.listId ?? run.listId}:${w.entryId}:${w.kind === 'field' ? `field:${w.fieldId}` : 'status'}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(w);
+    }
+
+    const rolledBackAt = new Date().toISOString();
+    const restored = [];
+    // Restores run AFFINITY_CONCURRENCY at a time; a failed read or write only affects its own item
+    const results = await mapWithConcurrency(Array.from(groups.values()), AFFINITY_CONCURRENCY, async (group) => {
+      const pending = group.filter(w => !w.rolledBackAt);
+      const first = pending[0] || group[0];
+      const last = pending[pending.length - 1] || group[group.length - 1];
+      const base = { entryId: last.entryId, name: last.name, field: last.fieldName, from: last.newLabel, to: first.previousLabel || '', ...(pending.length > 1 ? { writes: pending.length } : {}) };
+      if (!pending.length) {
+        return { ...base, rolledBack: false, reason: `Already rolled back at ${last.rolledBackAt}` };
+      }
+      // Runs record list/field per write; older runs only at the top level
+      const listId = last.listId ?? run.listId;
+      const statusFieldId = last.statusFieldId ?? run.statusFieldId;
+      if (last.kind === 'field') {
+        let currentValue;
+        try {
+          currentValue = await fetchEntryFieldValue(listId, last.entryId, last.fieldId);
+        } catch (e) {
+          return { ...base, rolledBack: false, error: e?.response?.data || e.message };
+        }
+        if (!sameFieldValue(last.fieldKind, currentValue, last.newValue)) {
+          return { ...base, rolledBack: false, reason: `Changed in Affinity since the run (now '${fieldValueLabel(last.fieldKind, currentValue)}')` };
+        }
+      } else {
+        let current;
+        try {
+          current = await fetchEntryStatus(listId, last.entryId, statusFieldId, { throwOnError: true });
+        } catch (e) {
+          return { ...base, rolledBack: false, error: e?.response?.data || e.message };
+        }
+        if (String(current.optionId ?? '') !== String(last.newOptionId ?? '')) {
+          return { ...base, rolledBack: false, reason: `Changed in Affinity since the run (now '${current.label}')` };
+        }
+      }
+      if (isDryRun) {
+        return { ...base, rolledBack: false, wouldRollBack: true };
+      }
+      try {
+        if (last.kind === 'field') await updateFieldValue(listId, last.entryId, last.fieldId, last.valueType, first.previousValue ?? null);
+        else await updateStatus(listId, last.entryId, statusFieldId, first.previousOptionId ?? null, last.statusValueType ?? run.statusValueType);
+        for (const w of pending) Object.assign(w, { rolledBackAt, rolledBackBy: caller.identity });
+        restored.push(first);
+        return { ...base, rolledBack: true };
+      } catch (e) {
+        return { ...base, rolledBack: false, error: e?.response?.data || e.message };
+      }
+    });
+
+    if (!isDryRun && restored.length) {
+      await saveRun(run);
+      await updateSnapshotsAfterWrites(restored, { rollback: true });
+    }
+    if (locks) await releaseListLocks(locks.listIds, locks.lockId).catch(() => {});
+    locks = null;
+
+    return res.status(200).json({ ok: true, runId: run.runId, caller: caller.identity, total: results.length, results: redactIdentities(results) });
+  } catch (e) {
+    if (locks) await releaseListLocks(locks.listIds, locks.lockId).catch(() => {});
+    const status = e?.response?.status || 500;
+    const data = e?.response?.data || e.message;
+    return res.status(500).json({ ok: false, error: { status, data } });
+  }
+}
@@ -0,0 +1,64 @@
+import { parse } from "csv-parse/sync";
+import { API_KEY_CONFIG_ERROR, authenticate, missingScope } from "./_lib/auth.js";
+import { readJsonBody, queryParam } from "./_lib/http.js";
+import { DEFAULT_STATUS_RULES, loadStatusRules, saveStatusRules, resetStatusRules, validateStatusRules, deriveStage } from "./_lib/rules.js";
+
+// GET → active status rules (?defaults=1 → the shipped defaults)
+// POST { row | csv, rules? } → which rule fires for one CSV row and why (trying unsaved rules needs write)
+// PUT { rules } → save rules; DELETE → back to STATUS_RULES_JSON / defaults
+export default async function handler(req, res) {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+    const caller = authenticate(req);
+    if (!caller) return res.status(API_KEY_CONFIG_ERROR ? 500 : 401).json({ ok: false, error: API_KEY_CONFIG_ERROR || "Unauthorized" });
+    // Reading rules and trying the active ones is open to dry-run keys; saving or resetting them needs admin
+    const denied = missingScope(caller, req.method === "GET" || req.method === "POST" ? 'dry-run' : 'admin');
+    if (denied) return res.status(403).json({ ok: false, error: denied });
+
+    if (req.method === "GET") {
+      if (queryParam(req, 'defaults') === '1') return res.status(200).json({ ok: true, source: "default", rules: DEFAULT_STATUS_RULES });
+      return res.status(200).json({ ok: true, ...(await loadStatusRules()) });
+    }
+    if (req.method === "POST") {
+      const body = (await readJsonBody(req, 200_000)) || {};
+      let row = body.row;
+      if (!row && body.csv) {
+        // Header line plus the row to explain; only the first data row is used
+        try {
+          row = parse(String(body.csv), { columns: true, skip_empty_lines: true, relax_column_count: true })[0];
+        } catch (e) {
+          return res.status(400).json({ ok: false, error: `Could not parse csv: ${e.message}` });
+        }
+      }
+      if (!row || typeof row !== "object") return res.status(400).json({ ok: false, error: "Provide row (object of column → value) or csv (header + one row)" });
+      let rules;
+      if (body.rules) {
+        // Unsaved rules run caller-supplied regexes, so only keys trusted to write may send them
+        const deniedRules = missingScope(caller, 'write');
+        if (deniedRules) return res.status(403).json({ ok: false, error: deniedRules });
+        try { validateStatusRules(body.rules); } catch (e) { return res.status(400).json({ ok: false, error: e.message }); }
+        rules = body.rules;
+      } else {
+        rules = (await loadStatusRules()).rules;
+      }
+      const { stage, rule, trace } = deriveStage(row, rules);
+      return res.status(200).json({ ok: true, stage, rule, trace });
+    }
+    if (req.method === "PUT") {
+      const body = (await readJsonBody(req, 200_000)) || {};
+      try {
+        const saved = await saveStatusRules(body.rules, caller.identity);
+        return res.status(200).json({ ok: true, source: "store", ...saved });
+      } catch (e) {
+        return res.status(400).json({ ok: false, error: e.message });
+      }
+    }
+    if (req.method === "DELETE") {
+      await resetStatusRules();
+      return res.status(200).json({ ok: true, ...(await loadStatusRules()) });
+    }
+    return res.status(405).json({ ok: false, error: "Use GET, POST, PUT or DELETE" });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: { status: 500, data: e.message } });
+  }
+}
@@ -0,0 +1,27 @@
+import { API_KEY_CONFIG_ERROR, authenticate, missingScope } from "./_lib/auth.js";
+import { queryParam, redactIdentities } from "./_lib/http.js";
+import { getRun, listRuns } from "./_lib/runs.js";
+
+// GET → recent runs (newest first); GET ?id=<runId> → one run with its recorded writes
+export default async function handler(req, res) {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (req.method !== "GET") return res.status(405).json({ ok: false, error: "Use GET" });
+    const caller = authenticate(req);
+    if (!caller) return res.status(API_KEY_CONFIG_ERROR ? 500 : 401).json({ ok: false, error: API_KEY_CONFIG_ERROR || "Unauthorized" });
+    const denied = missingScope(caller, 'dry-run');
+    if (denied) return res.status(403).json({ ok: false, error: denied });
+
+    const runId = queryParam(req, 'id');
+    if (runId) {
+      const run = await getRun(runId);
+      if (!run) return res.status(404).json({ ok: false, error: "Unknown runId" });
+      run.writes = redactIdentities(run.writes);
+      return res.status(200).json({ ok: true, run });
+    }
+    return res.status(200).json({ ok: true, runs: await listRuns() });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: { status: 500, data: e.message } });
+  }
+}
@@ -0,0 +1,43 @@
+import { API_KEY_CONFIG_ERROR, authenticate, missingScope } from "./_lib/auth.js";
+import { queryParam } from "./_lib/http.js";
+import { configuredLists } from "./_lib/lists.js";
+import { resolveFieldMappings } from "./_lib/fields.js";
+import { getListSnapshot, describeListSnapshot, dropListSnapshot } from "./_lib/snapshots.js";
+
+// GET → age and size of each configured list's snapshot; POST → re-fetch now; DELETE → drop.
+// ?listId= limits POST/DELETE to one list.
+export default async function handler(req, res) {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+    const caller = authenticate(req);
+    if (!caller) return res.status(API_KEY_CONFIG_ERROR ? 500 : 401).json({ ok: false, error: API_KEY_CONFIG_ERROR || "Unauthorized" });
+    const denied = missingScope(caller, req.method === "GET" ? 'dry-run' : 'write');
+    if (denied) return res.status(403).json({ ok: false, error: denied });
+
+    const listId = queryParam(req, 'listId');
+    const lists = configuredLists().filter(l => !listId || String(l.listId) === String(listId));
+    if (listId && !lists.length) return res.status(404).json({ ok: false, error: "List is not configured" });
+
+    if (req.method === "GET") {
+      return res.status(200).json({ ok: true, snapshots: await Promise.all(lists.map(l => describeListSnapshot(l.listId))) });
+    }
+    if (req.method === "POST") {
+      if (!process.env.AFFINITY_V2_TOKEN) return res.status(500).json({ ok: false, error: "Missing AFFINITY_V2_TOKEN" });
+      const snapshots = [];
+      for (const list of lists) {
+        await getListSnapshot(list, fields => resolveFieldMappings(fields, list.fieldMappings).mappings.map(m => m.fieldId), { refresh: true });
+        snapshots.push(await describeListSnapshot(list.listId));
+      }
+      return res.status(200).json({ ok: true, snapshots });
+    }
+    if (req.method === "DELETE") {
+      for (const list of lists) await dropListSnapshot(list.listId);
+      return res.status(200).json({ ok: true, dropped: lists.map(l => l.listId) });
+    }
+    return res.status(405).json({ ok: false, error: "Use GET, POST or DELETE" });
+  } catch (e) {
+    const status = e?.response?.status || 500;
+    const data = e?.response?.data || e.message;
+    return res.status(500).json({ ok: false, error: { status, data } });
+  }
+}